@@ -0,0 +1,36 @@
+/**
+ * CreativeFlow - Proof-of-Work Worker
+ * Finds a nonce whose SHA-256 hash with the challenge has enough leading zero bits
+ */
+
+'use strict';
+
+// Give up rather than spin forever on an unreasonable difficulty
+const MAX_ITERATIONS = 5000000;
+
+function hasLeadingZeroBits(bytes, bits) {
+    const fullBytes = Math.floor(bits / 8);
+    const remainingBits = bits % 8;
+
+    for (let i = 0; i < fullBytes; i++) {
+        if (bytes[i] !== 0) return false;
+    }
+
+    return remainingBits === 0 || (bytes[fullBytes] >> (8 - remainingBits)) === 0;
+}
+
+self.addEventListener('message', async (event) => {
+    const { challenge, difficulty } = event.data;
+    const encoder = new TextEncoder();
+
+    for (let nonce = 0; nonce < MAX_ITERATIONS; nonce++) {
+        const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+
+        if (hasLeadingZeroBits(new Uint8Array(digest), difficulty)) {
+            self.postMessage({ challenge, nonce, difficulty });
+            return;
+        }
+    }
+
+    self.postMessage({ error: 'Proof of work not found' });
+});
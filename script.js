@@ -15,15 +15,333 @@ const CONFIG = {
     ANIMATION_DELAY: 100,
     SCROLL_THRESHOLD: 100,
     
+    // Height of the fixed header, kept clear when scrolling to a section
+    HEADER_OFFSET: 80,
+    
     // Form validation settings
     EMAIL_REGEX: /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/,
-    PHONE_REGEX: /^[\+]?[1-9][\d]{0,15}$/,
+    // Email typo suggestions and disposable-address blocking. With
+    // BLOCK_DISPOSABLE on, email fields on DISPOSABLE_FORM_TYPES get the
+    // notDisposable rule; DISPOSABLE_MESSAGE is its i18n key (or literal text)
+    EMAIL: {
+        SUGGESTION_DOMAINS: [
+            'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.es', 'hotmail.com', 'hotmail.es',
+            'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com',
+            'protonmail.com', 'proton.me', 'gmx.com', 'zoho.com', 'mail.com', 'ymail.com'
+        ],
+        // Misspellings that are not real TLDs; real ones are never corrected
+        TLD_TYPOS: {
+            con: 'com', cmo: 'com', comm: 'com', ocm: 'com', vom: 'com', xom: 'com',
+            cpm: 'com', coom: 'com', comn: 'com', 'c0m': 'com',
+            nte: 'net', ent: 'net', nett: 'net',
+            ogr: 'org', rog: 'org', orgg: 'org'
+        },
+        
+        // Edits allowed between a typed and a common domain name (before the
+        // TLD), by typed length; short names get none so "hive" never becomes "live"
+        SUGGESTION_DISTANCES: [
+            { MIN_LENGTH: 8, MAX_DISTANCE: 2 },
+            { MIN_LENGTH: 5, MAX_DISTANCE: 1 }
+        ],
+        DISPOSABLE_DOMAINS: [
+            'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com',
+            '10minutemail.com', 'tempmail.com', 'temp-mail.org', 'yopmail.com', 'trashmail.com',
+            'getnada.com', 'dispostable.com', 'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com'
+        ],
+        BLOCK_DISPOSABLE: true,
+        DISPOSABLE_FORM_TYPES: ['lead', 'contact'],
+        DISPOSABLE_MESSAGE: 'validation.disposableEmail'
+    },
+    
+    // E.164 check for international numbers from countries without rules in PHONE
+    PHONE_REGEX: /^\+[1-9]\d{6,14}$/,
+    
+    // Phone input countries. PATTERN validates the national significant
+    // number (without the trunk prefix); FORMAT groups it for display
+    PHONE: {
+        DEFAULT_COUNTRY: 'US',
+        LOCALE_COUNTRIES: { en: 'US', es: 'ES', ar: 'AE' },
+        COUNTRIES: {
+            US: { DIAL_CODE: '1', PATTERN: /^[2-9]\d{2}[2-9]\d{6}$/, FORMAT: '(###) ###-####' },
+            CA: { DIAL_CODE: '1', PATTERN: /^[2-9]\d{2}[2-9]\d{6}$/, FORMAT: '(###) ###-####' },
+            MX: { DIAL_CODE: '52', PATTERN: /^\d{10}$/, FORMAT: '## #### ####' },
+            CO: { DIAL_CODE: '57', PATTERN: /^(?:3\d{9}|60\d{8})$/, FORMAT: '### ### ####' },
+            BR: { DIAL_CODE: '55', TRUNK_PREFIX: '0', PATTERN: /^[1-9]{2}9?\d{8}$/, FORMAT: '## #####-####' },
+            GB: { DIAL_CODE: '44', TRUNK_PREFIX: '0', PATTERN: /^[1-9]\d{8,9}$/, FORMAT: '#### ######' },
+            ES: { DIAL_CODE: '34', PATTERN: /^[6-9]\d{8}$/, FORMAT: '### ## ## ##' },
+            FR: { DIAL_CODE: '33', TRUNK_PREFIX: '0', PATTERN: /^[1-9]\d{8}$/, FORMAT: '# ## ## ## ##' },
+            DE: { DIAL_CODE: '49', TRUNK_PREFIX: '0', PATTERN: /^[1-9]\d{5,13}$/, FORMAT: '### ########' },
+            AE: { DIAL_CODE: '971', TRUNK_PREFIX: '0', PATTERN: /^[2-9]\d{7,8}$/, FORMAT: '## ### ####' },
+            SA: { DIAL_CODE: '966', TRUNK_PREFIX: '0', PATTERN: /^(?:5\d{8}|1\d{7})$/, FORMAT: '## ### ####' },
+            EG: { DIAL_CODE: '20', TRUNK_PREFIX: '0', PATTERN: /^(?:1\d{9}|[2-9]\d{7,8})$/, FORMAT: '### ### ####' },
+            MA: { DIAL_CODE: '212', TRUNK_PREFIX: '0', PATTERN: /^[5-7]\d{8}$/, FORMAT: '### ### ###' },
+            IN: { DIAL_CODE: '91', TRUNK_PREFIX: '0', PATTERN: /^[1-9]\d{9}$/, FORMAT: '##### #####' },
+            AU: { DIAL_CODE: '61', TRUNK_PREFIX: '0', PATTERN: /^[2-478]\d{8}$/, FORMAT: '### ### ###' }
+        }
+    },
     
     // API endpoints (replace with actual endpoints)
     ENDPOINTS: {
         CONTACT_FORM: '/api/contact',
         NEWSLETTER: '/api/newsletter',
-        LEAD_FORM: '/api/leads'
+        NEWSLETTER_CHECK: '/api/newsletter/check',
+        LEAD_FORM: '/api/leads',
+        BOOKING: '/api/bookings',
+        // Static stand-in until the booking service exposes open slots
+        AVAILABILITY: '/content/availability.json',
+        ERRORS: '/api/errors'
+    },
+    
+    // Form submission client settings
+    SUBMISSION: {
+        TIMEOUT: 10000,
+        MAX_RETRIES: 3,
+        RETRY_BASE_DELAY: 500,
+        RETRY_MAX_DELAY: 8000
+    },
+    
+    // Offline submission queue (must match sw.js)
+    OFFLINE_QUEUE: {
+        DB_NAME: 'creativeflow',
+        DB_VERSION: 1,
+        STORE_NAME: 'submissions',
+        SYNC_TAG: 'creativeflow-form-sync',
+        MAX_AGE: 7 * 24 * 60 * 60 * 1000
+    },
+    
+    // Analytics transport settings
+    ANALYTICS: {
+        ENDPOINT: '/api/analytics',
+        BATCH_SIZE: 20,
+        FLUSH_INTERVAL: 5000,
+        STORAGE_KEY: 'cf_analytics_failed_batches',
+        MAX_STORED_BATCHES: 10,
+        
+        // Fraction of events sent to the endpoint, per event name
+        SAMPLE_RATES: {
+            default: 1,
+            scroll_depth: 0.5,
+            button_click: 0.5
+        }
+    },
+    
+    // Error reporting
+    ERROR_REPORTING: {
+        SESSION_KEY: 'cf_error_reports',
+        MAX_REPORTS_PER_SESSION: 10,
+        MAX_BREADCRUMBS: 30,
+        MAX_STACK_FRAMES: 20,
+        
+        // Browser noise that says nothing about our code
+        IGNORE: [/^Script error\.?$/, /ResizeObserver loop/]
+    },
+    
+    // Core Web Vitals monitoring. THRESHOLDS are the [good, poor] boundaries
+    // in ms (CLS is unitless)
+    PERFORMANCE_MONITOR: {
+        DEBUG: false,
+        DEBUG_PARAM: 'cf_debug',
+        TOP_RESOURCES: 5,
+        INP_DURATION_THRESHOLD: 40,
+        THRESHOLDS: {
+            LCP: [2500, 4000],
+            CLS: [0.1, 0.25],
+            INP: [200, 500],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800]
+        }
+    },
+    
+    // Consent management
+    CONSENT: {
+        // Bump when the cookie policy changes to re-prompt every visitor
+        POLICY_VERSION: '2026-10',
+        STORAGE_KEY: 'cf_consent',
+        MAX_PENDING: 100
+    },
+    
+    // Lead scoring and routing. Points per signal; the first tier whose
+    // MIN the score reaches wins, and the first routing rule matching the
+    // tier decides the endpoint (a CONFIG.ENDPOINTS key) and priority flag
+    LEAD_SCORING: {
+        FORM_TYPES: ['lead', 'contact'],
+        SERVICE: {
+            consulting: 20,
+            web: 15,
+            marketing: 15,
+            branding: 10,
+            analytics: 10,
+            content: 5
+        },
+        BUDGET: {
+            '50k-plus': 35,
+            '15k-50k': 25,
+            '5k-15k': 10,
+            'not-sure': 5
+        },
+        COMPANY: 10,
+        MESSAGE_LENGTH: [
+            { MIN: 400, POINTS: 10 },
+            { MIN: 150, POINTS: 5 }
+        ],
+        SCROLL_DEPTH: { MIN: 75, POINTS: 5 },
+        TIME_ON_PAGE: { MIN: 120, POINTS: 5 },
+        CAMPAIGN: 5,
+        TIERS: [
+            { NAME: 'hot', MIN: 60 },
+            { NAME: 'warm', MIN: 30 },
+            { NAME: 'cold', MIN: 0 }
+        ],
+        ROUTING: [
+            { TIERS: ['hot'], ENDPOINT: 'LEAD_FORM', PRIORITY: true, SUCCESS_KEY: 'form.success.priority' }
+        ]
+    },
+    
+    // Campaign attribution (first- and last-touch)
+    ATTRIBUTION: {
+        STORAGE_KEY: 'cf_attribution',
+        EXPIRY: 90 * 24 * 60 * 60 * 1000,
+        PARAMS: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'],
+        
+        // Ad click ids and campaign data are only stored or sent with this consent
+        CONSENT_CATEGORY: 'marketing',
+        MAX_VALUE_LENGTH: 200
+    },
+    
+    // Form draft autosave
+    DRAFTS: {
+        STORAGE_PREFIX: 'cf_draft_',
+        EXPIRY: 7 * 24 * 60 * 60 * 1000,
+        SAVE_DELAY: 1000,
+        
+        // Never written to storage (fields can also opt out with data-draft-exclude)
+        EXCLUDED_FIELDS: ['phone'],
+        EXCLUDED_TYPES: ['password', 'hidden', 'file']
+    },
+    
+    // Spam and bot protection
+    BOT_PROTECTION: {
+        // Deliberately matches no field that browsers or password managers autofill
+        HONEYPOT_NAME: 'cf_hp_7q2x',
+        MIN_FILL_TIME: 3000,
+        
+        // Per-visitor submission limit across all forms
+        RATE_LIMIT_MAX: 5,
+        RATE_LIMIT_WINDOW: 10 * 60 * 1000,
+        STORAGE_KEY: 'cf_submission_log',
+        
+        PROOF_OF_WORK: {
+            ENABLED: false,
+            DIFFICULTY: 16,
+            WORKER_URL: '/pow-worker.js',
+            TIMEOUT: 10000
+        }
+    },
+    
+    // Project brief wizard
+    WIZARD: {
+        HASH_PREFIX: 'brief-'
+    },
+    
+    // Internationalization
+    I18N: {
+        DEFAULT_LOCALE: 'en',
+        CATALOG_PATH: '/locales/{locale}.json',
+        STORAGE_KEY: 'cf_locale',
+        // Modules start after this even if the catalog is still loading;
+        // text is updated on the localechange event when it arrives
+        LOAD_TIMEOUT: 1500,
+        LOCALES: {
+            en: { name: 'English', dir: 'ltr' },
+            es: { name: 'Español', dir: 'ltr' },
+            ar: { name: 'العربية', dir: 'rtl' }
+        }
+    },
+    
+    // Color themes (the pre-paint script in index.html reads the same key)
+    THEME: {
+        STORAGE_KEY: 'cf_theme',
+        DEFAULT: 'system',
+        ORDER: ['system', 'light', 'dark']
+    },
+    
+    // Data-driven sections. An inline <script type="application/json"> with
+    // INLINE_ID takes precedence over fetching URL.
+    CONTENT: {
+        SERVICES: {
+            URL: '/content/services.json',
+            INLINE_ID: 'servicesContent'
+        },
+        TESTIMONIALS: {
+            URL: '/content/testimonials.json',
+            INLINE_ID: 'testimonialsContent'
+        },
+        AVATAR_COLORS: ['#6366f1', '#8b5cf6', '#f59e0b', '#10b981', '#ec4899'],
+        MAX_RATING: 5
+    },
+    
+    // Discovery call booking offered after lead and contact submissions
+    BOOKING: {
+        FORM_TYPES: ['lead', 'contact'],
+        MIN_NOTICE: 12 * 60 * 60 * 1000,
+        MAX_SLOTS: 24,
+        ORGANIZER_EMAIL: 'hello@creativeflow.com',
+        INVITE_DOMAIN: 'creativeflow.com',
+        INVITE_FILENAME: 'creativeflow-discovery-call.ics'
+    },
+    
+    // Testimonials carousel
+    CAROUSEL: {
+        AUTOPLAY_INTERVAL: 6000,
+        SWIPE_THRESHOLD: 50
+    },
+    
+    // A/B experiments. Each change targets elements by selector and sets an
+    // i18n key (with literal text as the fallback until or unless the catalog
+    // has it), attributes or classes. QA can force variants with
+    // ?cf_variant=hero-headline:outcome,hero-cta:control
+    EXPERIMENTS: {
+        VISITOR_ID_KEY: 'cf_visitor_id',
+        QUERY_PARAM: 'cf_variant',
+        DEFINITIONS: [
+            {
+                id: 'hero-headline',
+                active: true,
+                variants: [
+                    { id: 'control', weight: 50 },
+                    {
+                        id: 'outcome',
+                        weight: 50,
+                        changes: [
+                            { selector: '[data-experiment="hero-headline"] [data-i18n="hero.titleLead"]', i18nKey: 'experiments.heroHeadline.lead', text: 'Turn More Visitors Into' },
+                            { selector: '[data-experiment="hero-headline"] .gradient-text', i18nKey: 'experiments.heroHeadline.highlight', text: 'Customers' }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: 'hero-cta',
+                active: true,
+                variants: [
+                    { id: 'control', weight: 50 },
+                    {
+                        id: 'start-project',
+                        weight: 50,
+                        changes: [
+                            { selector: '[data-experiment="hero-cta"] .btn-secondary', i18nKey: 'experiments.heroCta.startProject', text: 'Start Your Project' }
+                        ]
+                    }
+                ]
+            }
+        ]
+    },
+    
+    // Toast notifications
+    NOTIFICATIONS: {
+        DURATION: 5000,
+        ERROR_DURATION: 8000,
+        MAX_VISIBLE: 3,
+        EXIT_DURATION: 300
     },
     
     // Timing constants
@@ -31,6 +349,30 @@ const CONFIG = {
     THROTTLE_DELAY: 100
 };
 
+/**
+ * Merge overrides over CONFIG so host pages can tune the app without editing
+ * this file: window.CreativeFlowConfig first, then JSON in the script tag's
+ * data-config attribute, e.g.
+ * <script src="script.js" data-config='{"ANALYTICS": {"BATCH_SIZE": 10}}'>
+ */
+function applyConfigOverrides(script = document.currentScript) {
+    const sources = [window.CreativeFlowConfig];
+    
+    if (script && script.dataset.config) {
+        try {
+            sources.push(JSON.parse(script.dataset.config));
+        } catch (error) {
+            console.error('Invalid data-config JSON:', error);
+        }
+    }
+    
+    sources
+        .filter(source => Utils.isPlainObject(source))
+        .forEach(source => Utils.deepMerge(CONFIG, source));
+    
+    return CONFIG;
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -84,11 +426,11 @@ class Utils {
     /**
      * Smooth scroll to element
      */
-    static smoothScrollTo(element, offset = 80) {
+    static smoothScrollTo(element, offset = CONFIG.HEADER_OFFSET, behavior = 'smooth') {
         const elementPosition = element.offsetTop - offset;
         window.scrollTo({
             top: elementPosition,
-            behavior: 'smooth'
+            behavior
         });
     }
 
@@ -102,10 +444,149 @@ class Utils {
     }
 
     /**
-     * Format phone number for validation
+     * Edit distance where swapping two adjacent characters counts as one edit
+     * (optimal string alignment), so "gmial" is one edit from "gmail"
+     */
+    static editDistance(a, b) {
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows[i] = [i];
+        }
+        for (let j = 0; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+        
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Suggest a corrected address when the domain looks like a typo of a
+     * common mail domain ("john@gmial.con" → "john@gmail.com") or has a TLD
+     * that is a known misspelling ("jane@acme.con" → "jane@acme.com");
+     * null otherwise
+     */
+    static suggestEmail(email) {
+        const settings = CONFIG.EMAIL;
+        const at = email.lastIndexOf('@');
+        if (at < 1) return null;
+        
+        const local = email.slice(0, at).trim();
+        const domain = email.slice(at + 1).trim().toLowerCase();
+        const dot = domain.indexOf('.');
+        if (dot < 1 || settings.SUGGESTION_DOMAINS.includes(domain)) return null;
+        
+        const name = domain.slice(0, dot);
+        const tld = domain.slice(dot + 1);
+        const fixedTld = settings.TLD_TYPOS[tld] || tld;
+        
+        const allowance = settings.SUGGESTION_DISTANCES.find(entry => name.length >= entry.MIN_LENGTH);
+        const maxDistance = allowance ? allowance.MAX_DISTANCE : 0;
+        
+        // A common domain only matches with the same TLD (after fixing a
+        // misspelled one), so "mail.ru" or "acme.it" are left alone
+        let best = null;
+        let bestDistance = maxDistance + 1;
+        settings.SUGGESTION_DOMAINS.forEach(candidate => {
+            const candidateDot = candidate.indexOf('.');
+            if (candidate.slice(candidateDot + 1) !== fixedTld) return;
+            
+            const distance = Utils.editDistance(name, candidate.slice(0, candidateDot));
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        
+        if (best) {
+            return `${local}@${best}`;
+        }
+        
+        return fixedTld !== tld ? `${local}@${name}.${fixedTld}` : null;
+    }
+
+    /**
+     * Whether the address uses a blocklisted throwaway domain (or a subdomain of one)
+     */
+    static isDisposableEmail(email) {
+        const domain = email.slice(email.lastIndexOf('@') + 1).trim().toLowerCase();
+        return CONFIG.EMAIL.DISPOSABLE_DOMAINS.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+    }
+
+    /**
+     * Format a national phone number for display using the country's FORMAT.
+     * A trunk prefix the visitor typed (e.g. the 0 in UK numbers) is kept.
+     */
+    static formatPhoneNumber(phone, countryCode = CONFIG.PHONE.DEFAULT_COUNTRY) {
+        const country = CONFIG.PHONE.COUNTRIES[countryCode] || CONFIG.PHONE.COUNTRIES[CONFIG.PHONE.DEFAULT_COUNTRY];
+        let digits = phone.replace(/\D/g, '');
+        let prefix = '';
+        
+        if (country.TRUNK_PREFIX && digits.startsWith(country.TRUNK_PREFIX)) {
+            prefix = country.TRUNK_PREFIX;
+            digits = digits.slice(prefix.length);
+        }
+        
+        let formatted = '';
+        let index = 0;
+        for (const char of country.FORMAT) {
+            if (index >= digits.length) break;
+            formatted += char === '#' ? digits[index++] : char;
+        }
+        
+        // Anything longer than the format is appended as typed
+        return prefix + formatted + digits.slice(index);
+    }
+
+    /**
+     * Parse a phone number typed nationally for countryCode, or
+     * internationally with a leading + or 00. Returns
+     * { country, nationalNumber, e164, isValid }.
      */
-    static formatPhoneNumber(phone) {
-        return phone.replace(/[^\d+]/g, '');
+    static parsePhoneNumber(phone, countryCode = CONFIG.PHONE.DEFAULT_COUNTRY) {
+        const countries = CONFIG.PHONE.COUNTRIES;
+        const trimmed = phone.trim();
+        let digits = trimmed.replace(/\D/g, '');
+        
+        if (trimmed.startsWith('+') || trimmed.startsWith('00')) {
+            if (!trimmed.startsWith('+')) digits = digits.slice(2);
+            
+            // Prefer the selected country when several share a dial code (US/CA)
+            const codes = Object.keys(countries).filter(code => digits.startsWith(countries[code].DIAL_CODE));
+            const code = codes.includes(countryCode)
+                ? countryCode
+                : codes.sort((a, b) => countries[b].DIAL_CODE.length - countries[a].DIAL_CODE.length)[0];
+            
+            if (!code) {
+                const e164 = `+${digits}`;
+                return { country: null, nationalNumber: null, e164, isValid: CONFIG.PHONE_REGEX.test(e164) };
+            }
+            
+            countryCode = code;
+            digits = digits.slice(countries[code].DIAL_CODE.length);
+        }
+        
+        const country = countries[countryCode] || countries[CONFIG.PHONE.DEFAULT_COUNTRY];
+        if (country.TRUNK_PREFIX && digits.startsWith(country.TRUNK_PREFIX)) {
+            digits = digits.slice(country.TRUNK_PREFIX.length);
+        }
+        
+        return {
+            country: countryCode,
+            nationalNumber: digits,
+            e164: `+${country.DIAL_CODE}${digits}`,
+            isValid: country.PATTERN.test(digits)
+        };
     }
 
     /**
@@ -117,6 +598,89 @@ class Utils {
         return div.innerHTML;
     }
 
+    /**
+     * Generate a unique identifier (RFC 4122 v4 where supported)
+     */
+    static generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+            const r = Math.random() * 16 | 0;
+            const v = c === 'x' ? r : (r & 0x3 | 0x8);
+            return v.toString(16);
+        });
+    }
+
+    /**
+     * Plain object check (excludes arrays, regexes, DOM nodes)
+     */
+    static isPlainObject(value) {
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+
+    /**
+     * Recursively merge source into target in place. Arrays and other
+     * values replace what is there; nested objects are merged.
+     */
+    static deepMerge(target, source) {
+        Object.keys(source).forEach(key => {
+            if (Utils.isPlainObject(source[key]) && Utils.isPlainObject(target[key])) {
+                Utils.deepMerge(target[key], source[key]);
+            } else {
+                target[key] = source[key];
+            }
+        });
+        return target;
+    }
+
+    /**
+     * Promise-based delay
+     */
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * 32-bit FNV-1a hash of a string, as an unsigned integer
+     */
+    static hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Short CSS-like path for an element, e.g. "section#hero > h1.hero-main-title"
+     */
+    static describeElement(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+        
+        const parts = [];
+        let current = element;
+        
+        while (current && current !== document.body && parts.length < 3) {
+            let part = current.tagName.toLowerCase();
+            if (current.id) {
+                parts.unshift(`${part}#${current.id}`);
+                break;
+            }
+            
+            const classes = Array.from(current.classList).slice(0, 2);
+            if (classes.length > 0) {
+                part += `.${classes.join('.')}`;
+            }
+            parts.unshift(part);
+            current = current.parentElement;
+        }
+        
+        return parts.join(' > ');
+    }
+
     /**
      * Show/hide loading state
      */
@@ -139,1090 +703,5882 @@ class Utils {
 }
 
 // =============================================================================
-// NAVIGATION FUNCTIONALITY
+// EVENT BUS
 // =============================================================================
 
-class Navigation {
+/**
+ * App-wide publish/subscribe channel so modules don't reach into each other.
+ * Event names are namespaced, e.g. 'form:submitted' or 'consent:changed'.
+ */
+class EventBus {
     constructor() {
-        this.header = document.getElementById('header');
-        this.navLinks = document.getElementById('navLinks');
-        this.mobileMenu = document.getElementById('mobileMenu');
-        this.navLinkElements = document.querySelectorAll('.nav-link');
-        
-        this.init();
+        this.handlers = new Map();
     }
 
-    init() {
-        this.setupScrollEffect();
-        this.setupMobileMenu();
-        this.setupActiveNavigation();
-        this.setupSmoothScrolling();
+    /**
+     * Subscribe to an event; returns a function that unsubscribes
+     */
+    on(eventName, handler) {
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, new Set());
+        }
+        this.handlers.get(eventName).add(handler);
+        return () => this.off(eventName, handler);
     }
 
-    setupScrollEffect() {
-        const handleScroll = Utils.throttle(() => {
-            const scrollY = window.scrollY;
-            
-            if (scrollY > 50) {
-                this.header.classList.add('scrolled');
-            } else {
-                this.header.classList.remove('scrolled');
-            }
-        }, CONFIG.THROTTLE_DELAY);
-
-        window.addEventListener('scroll', handleScroll);
+    once(eventName, handler) {
+        const off = this.on(eventName, (detail) => {
+            off();
+            handler(detail);
+        });
+        return off;
     }
 
-    setupMobileMenu() {
-        if (!this.mobileMenu || !this.navLinks) return;
-
-        this.mobileMenu.addEventListener('click', () => {
-            this.toggleMobileMenu();
-        });
+    off(eventName, handler) {
+        const handlers = this.handlers.get(eventName);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
 
-        // Close mobile menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!this.header.contains(e.target) && this.navLinks.classList.contains('active')) {
-                this.closeMobileMenu();
+    emit(eventName, detail = {}) {
+        const handlers = this.handlers.get(eventName);
+        if (!handlers) return;
+        
+        // One failing subscriber must not stop the others
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in "${eventName}" handler:`, error);
+                errorReporter.capture(error, { event: eventName });
             }
         });
+    }
 
-        // Close mobile menu when clicking on nav links
-        this.navLinkElements.forEach(link => {
-            link.addEventListener('click', () => {
-                this.closeMobileMenu();
-            });
-        });
+    clear() {
+        this.handlers.clear();
     }
+}
 
-    toggleMobileMenu() {
-        this.mobileMenu.classList.toggle('active');
-        this.navLinks.classList.toggle('active');
-        
-        // Toggle aria attributes for accessibility
-        const isExpanded = this.navLinks.classList.contains('active');
-        this.mobileMenu.setAttribute('aria-expanded', isExpanded);
+const events = new EventBus();
+
+// =============================================================================
+// SCROLL SCHEDULER
+// =============================================================================
+
+/**
+ * One passive scroll/resize listener for the whole app, coalesced to a single
+ * requestAnimationFrame. Each frame runs every subscriber's read(state) first
+ * and then every write(state, readResult), so layout is never forced between
+ * DOM writes.
+ */
+class ScrollScheduler {
+    constructor() {
+        this.subscribers = new Set();
+        this.frame = null;
+        this.handleEvent = () => this.schedule();
     }
 
-    closeMobileMenu() {
-        this.mobileMenu.classList.remove('active');
-        this.navLinks.classList.remove('active');
-        this.mobileMenu.setAttribute('aria-expanded', 'false');
+    /**
+     * Subscribe { read, write }; returns a function that unsubscribes
+     */
+    subscribe(subscriber) {
+        if (this.subscribers.size === 0) {
+            window.addEventListener('scroll', this.handleEvent, { passive: true });
+            window.addEventListener('resize', this.handleEvent, { passive: true });
+        }
+        
+        this.subscribers.add(subscriber);
+        
+        // Run once so the initial state is applied without waiting for a scroll
+        this.schedule();
+        
+        return () => this.unsubscribe(subscriber);
     }
 
-    setupActiveNavigation() {
-        const sections = document.querySelectorAll('section[id]');
+    unsubscribe(subscriber) {
+        this.subscribers.delete(subscriber);
         
-        const handleScroll = Utils.throttle(() => {
-            let current = '';
-            const scrollY = window.scrollY;
-            
-            sections.forEach(section => {
-                const sectionTop = section.offsetTop - 100;
-                const sectionHeight = section.clientHeight;
-                
-                if (scrollY >= sectionTop && scrollY < sectionTop + sectionHeight) {
-                    current = section.getAttribute('id');
-                }
-            });
+        if (this.subscribers.size === 0) {
+            window.removeEventListener('scroll', this.handleEvent);
+            window.removeEventListener('resize', this.handleEvent);
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
 
-            this.navLinkElements.forEach(link => {
-                link.classList.remove('active');
-                if (link.getAttribute('href') === `#${current}`) {
-                    link.classList.add('active');
-                }
-            });
-        }, CONFIG.THROTTLE_DELAY);
+    schedule() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => this.run());
+    }
 
-        window.addEventListener('scroll', handleScroll);
+    measure() {
+        const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+        
+        return {
+            scrollY: window.scrollY,
+            viewportHeight,
+            documentHeight: document.documentElement.scrollHeight,
+            maxScroll: Math.max(document.documentElement.scrollHeight - viewportHeight, 0)
+        };
     }
 
-    setupSmoothScrolling() {
-        this.navLinkElements.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const targetId = link.getAttribute('href').substring(1);
-                const targetElement = document.getElementById(targetId);
-                
-                if (targetElement) {
-                    Utils.smoothScrollTo(targetElement);
-                }
-            });
+    run() {
+        this.frame = null;
+        
+        const state = this.measure();
+        const subscribers = Array.from(this.subscribers);
+        const reads = subscribers.map(subscriber => (subscriber.read ? subscriber.read(state) : undefined));
+        
+        subscribers.forEach((subscriber, index) => {
+            if (subscriber.write) {
+                subscriber.write(state, reads[index]);
+            }
         });
     }
 }
 
+const scrollScheduler = new ScrollScheduler();
+
 // =============================================================================
-// FORM VALIDATION & SUBMISSION
+// MODULE BASE CLASS
 // =============================================================================
 
-class FormValidator {
+/**
+ * Base class for app modules. Listeners added through listen(), subscribe()
+ * and onScroll() are removed again by destroy().
+ */
+class AppModule {
     constructor() {
-        this.rules = {
-            required: (value) => value.trim() !== '',
-            email: (value) => CONFIG.EMAIL_REGEX.test(value),
-            phone: (value) => CONFIG.PHONE_REGEX.test(Utils.formatPhoneNumber(value)),
-            minLength: (value, length) => value.length >= length
-        };
+        this.cleanups = [];
     }
 
-    validateField(field, rules = []) {
-        const value = field.value.trim();
-        const errors = [];
+    init() {}
 
-        rules.forEach(rule => {
-            if (typeof rule === 'string') {
-                if (rule === 'required' && !this.rules.required(value)) {
-                    errors.push('This field is required');
-                } else if (rule === 'email' && value && !this.rules.email(value)) {
-                    errors.push('Please enter a valid email address');
-                } else if (rule === 'phone' && value && !this.rules.phone(value)) {
-                    errors.push('Please enter a valid phone number');
-                }
-            } else if (typeof rule === 'object') {
-                if (rule.type === 'minLength' && !this.rules.minLength(value, rule.value)) {
-                    errors.push(`Minimum ${rule.value} characters required`);
-                }
-            }
-        });
-
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
     }
 
-    showFieldError(field, errors) {
-        const formGroup = field.closest('.form-group');
-        const errorElement = formGroup.querySelector('.form-error');
-        
-        if (errors.length > 0) {
-            formGroup.classList.add('error');
-            formGroup.classList.remove('success');
-            if (errorElement) {
-                errorElement.textContent = errors[0];
-                errorElement.classList.add('show');
-            }
-        } else {
-            formGroup.classList.remove('error');
-            formGroup.classList.add('success');
-            if (errorElement) {
-                errorElement.classList.remove('show');
-            }
-        }
+    subscribe(eventName, handler) {
+        this.cleanups.push(events.on(eventName, handler));
     }
 
-    clearFieldError(field) {
-        const formGroup = field.closest('.form-group');
-        const errorElement = formGroup.querySelector('.form-error');
-        
-        formGroup.classList.remove('error', 'success');
-        if (errorElement) {
-            errorElement.classList.remove('show');
-        }
+    onScroll(subscriber) {
+        this.cleanups.push(scrollScheduler.subscribe(subscriber));
     }
-}
 
-class FormHandler {
-    constructor() {
-        this.validator = new FormValidator();
-        this.forms = {
-            hero: document.getElementById('leadForm'),
-            contact: document.getElementById('contactForm'),
-            newsletter: document.getElementById('newsletterForm')
-        };
-        
-        this.init();
+    onDestroy(cleanup) {
+        this.cleanups.push(cleanup);
     }
 
-    init() {
-        this.setupHeroForm();
-        this.setupContactForm();
-        this.setupNewsletterForm();
-        this.setupRealTimeValidation();
+    destroy() {
+        this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
     }
+}
 
-    setupHeroForm() {
-        const form = this.forms.hero;
-        if (!form) return;
+// =============================================================================
+// INTERNATIONALIZATION
+// =============================================================================
 
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.handleFormSubmission(form, 'lead');
-        });
+class I18n {
+    constructor() {
+        this.settings = CONFIG.I18N;
+        this.locale = this.settings.DEFAULT_LOCALE;
+        this.catalogs = {};
     }
 
-    setupContactForm() {
-        const form = this.forms.contact;
-        if (!form) return;
-
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.handleFormSubmission(form, 'contact');
-        });
+    /**
+     * Load the visitor's catalog, localize the page and wire up the switcher
+     */
+    async init() {
+        await this.setLocale(this.detectLocale(), { persist: false });
+        this.setupSwitcher();
     }
 
-    setupNewsletterForm() {
-        const form = this.forms.newsletter;
-        if (!form) return;
-
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.handleFormSubmission(form, 'newsletter');
-        });
+    isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(this.settings.LOCALES, locale);
     }
 
-    setupRealTimeValidation() {
-        // Real-time validation for all forms
-        Object.values(this.forms).forEach(form => {
-            if (!form) return;
-
-            const fields = form.querySelectorAll('input, textarea, select');
-            
-            fields.forEach(field => {
-                // Validate on blur
-                field.addEventListener('blur', () => {
-                    this.validateSingleField(field);
-                });
-
-                // Clear errors on focus
-                field.addEventListener('focus', () => {
-                    this.validator.clearFieldError(field);
-                });
-
-                // Real-time validation for email and phone
-                if (field.type === 'email' || field.type === 'tel') {
-                    const debouncedValidation = Utils.debounce(() => {
-                        this.validateSingleField(field);
-                    }, CONFIG.DEBOUNCE_DELAY);
-                    
-                    field.addEventListener('input', debouncedValidation);
-                }
-            });
-        });
+    detectLocale() {
+        try {
+            const stored = localStorage.getItem(this.settings.STORAGE_KEY);
+            if (stored && this.isSupported(stored)) return stored;
+        } catch (error) {
+            // Storage unavailable, fall through to the browser languages
+        }
+        
+        const preferred = (navigator.languages || [navigator.language])
+            .map(language => (language || '').split('-')[0].toLowerCase())
+            .find(language => this.isSupported(language));
+        
+        return preferred || this.settings.DEFAULT_LOCALE;
     }
 
-    validateSingleField(field) {
-        const rules = this.getValidationRules(field);
-        const validation = this.validator.validateField(field, rules);
-        this.validator.showFieldError(field, validation.errors);
-        return validation.isValid;
+    async loadCatalog(locale) {
+        if (this.catalogs[locale]) return;
+        
+        const response = await fetch(this.settings.CATALOG_PATH.replace('{locale}', locale));
+        if (!response.ok) {
+            throw new Error(`Could not load ${locale} catalog: ${response.status}`);
+        }
+        this.catalogs[locale] = await response.json();
     }
 
-    getValidationRules(field) {
-        const rules = [];
+    async setLocale(locale, options = {}) {
+        const { persist = true } = options;
+        const fallback = this.settings.DEFAULT_LOCALE;
         
-        if (field.hasAttribute('required')) {
-            rules.push('required');
+        if (!this.isSupported(locale)) {
+            locale = fallback;
         }
         
-        if (field.type === 'email') {
-            rules.push('email');
+        await this.loadCatalog(fallback);
+        try {
+            await this.loadCatalog(locale);
+        } catch (error) {
+            console.error('Locale load error:', error);
+            locale = fallback;
         }
         
-        if (field.type === 'tel') {
-            rules.push('phone');
-        }
+        this.locale = locale;
         
-        const minLength = field.getAttribute('minlength');
-        if (minLength) {
-            rules.push({ type: 'minLength', value: parseInt(minLength) });
+        if (persist) {
+            try {
+                localStorage.setItem(this.settings.STORAGE_KEY, locale);
+            } catch (error) {
+                console.error('Could not store locale:', error);
+            }
         }
         
-        return rules;
+        document.documentElement.lang = locale;
+        document.documentElement.dir = this.getDirection();
+        this.translatePage();
+        
+        document.dispatchEvent(new CustomEvent('localechange', {
+            detail: { locale, dir: this.getDirection() }
+        }));
     }
 
-    validateForm(form) {
-        const fields = form.querySelectorAll('input[required], textarea[required], select[required]');
-        let isValid = true;
-        
-        fields.forEach(field => {
-            const fieldValid = this.validateSingleField(field);
-            if (!fieldValid) {
-                isValid = false;
-            }
-        });
-        
-        return isValid;
+    getDirection(locale = this.locale) {
+        return this.settings.LOCALES[locale].dir;
     }
 
-    async handleFormSubmission(form, type) {
-        const submitButton = form.querySelector('button[type="submit"]');
-        
-        // Validate form
-        if (!this.validateForm(form)) {
-            this.showNotification('Please fix the errors above', 'error');
-            return;
-        }
-        
-        // Show loading state
-        Utils.toggleLoading(submitButton, true);
-        
-        try {
-            // Collect form data
-            const formData = new FormData(form);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Sanitize data
-            Object.keys(data).forEach(key => {
-                data[key] = Utils.sanitizeInput(data[key]);
-            });
-            
-            // Add metadata
-            data.timestamp = new Date().toISOString();
-            data.userAgent = navigator.userAgent;
-            data.referrer = document.referrer;
-            data.formType = type;
-            
-            // Submit form (simulate API call)
-            const success = await this.submitToAPI(data, type);
-            
-            if (success) {
-                this.handleSuccessfulSubmission(form, type);
-            } else {
-                throw new Error('Submission failed');
-            }
-            
-        } catch (error) {
-            console.error('Form submission error:', error);
-            this.showNotification('Something went wrong. Please try again.', 'error');
-        } finally {
-            Utils.toggleLoading(submitButton, false);
-        }
+    lookup(locale, key) {
+        return key.split('.').reduce((node, part) => {
+            return node && typeof node === 'object' ? node[part] : undefined;
+        }, this.catalogs[locale]);
     }
 
-    async submitToAPI(data, type) {
-        // Simulate API call - replace with actual endpoint
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                console.log('Form submitted:', { type, data });
-                
-                // Simulate success/failure (90% success rate)
-                const success = Math.random() > 0.1;
-                resolve(success);
-            }, 1500);
-        });
-        
-        // Actual API implementation would look like:
-        /*
-        try {
-            const endpoint = CONFIG.ENDPOINTS[type.toUpperCase() + '_FORM'] || CONFIG.ENDPOINTS.CONTACT_FORM;
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                body: JSON.stringify(data)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const result = await response.json();
-            return result.success;
-        } catch (error) {
-            console.error('API submission error:', error);
-            return false;
-        }
-        */
+    has(key) {
+        return this.lookup(this.locale, key) !== undefined ||
+               this.lookup(this.settings.DEFAULT_LOCALE, key) !== undefined;
     }
 
-    handleSuccessfulSubmission(form, type) {
-        // Reset form
-        form.reset();
-        
-        // Clear all validation states
-        const formGroups = form.querySelectorAll('.form-group');
-        formGroups.forEach(group => {
-            group.classList.remove('error', 'success');
-            const errorElement = group.querySelector('.form-error');
-            if (errorElement) {
-                errorElement.classList.remove('show');
-            }
-        });
-        
-        // Show success message based on form type
-        let message;
-        switch (type) {
-            case 'lead':
-                message = 'Thank you! We\'ll get back to you within 24 hours.';
-                break;
-            case 'contact':
-                message = 'Message sent successfully! We\'ll respond soon.';
-                break;
-            case 'newsletter':
-                message = 'Successfully subscribed to our newsletter!';
-                break;
-            default:
-                message = 'Thank you for your submission!';
+    /**
+     * Pick the current locale's text from a per-locale value such as
+     * { "en": "...", "es": "..." }, falling back to the default locale.
+     * Plain strings are returned as they are.
+     */
+    pick(value) {
+        if (!value || typeof value !== 'object') return value;
+        return value[this.locale] !== undefined ? value[this.locale] : value[this.settings.DEFAULT_LOCALE];
+    }
+
+    /**
+     * Translate a dotted key. Params fill {placeholders}; a `count` param selects
+     * the plural form ({ zero, one, two, few, many, other }) for the locale.
+     * Unknown keys are returned as-is.
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+        if (message === undefined) {
+            message = this.lookup(this.settings.DEFAULT_LOCALE, key);
+        }
+        if (message === undefined) {
+            return key;
         }
         
-        // Show modal for main forms, notification for newsletter
-        if (type === 'newsletter') {
-            this.showNotification(message, 'success');
-        } else {
-            this.showSuccessModal(message);
+        if (typeof message === 'object') {
+            message = this.selectPlural(message, params.count);
         }
         
-        // Track conversion (replace with actual analytics)
-        this.trackConversion(type);
+        return this.interpolate(message, params);
     }
 
-    showSuccessModal(message) {
-        const modal = document.getElementById('successModal');
-        if (!modal) return;
-        
-        const messageElement = modal.querySelector('p');
-        if (messageElement) {
-            messageElement.textContent = message;
+    selectPlural(forms, count = 0) {
+        if (count === 0 && forms.zero !== undefined) {
+            return forms.zero;
         }
         
-        modal.classList.add('show');
+        const category = new Intl.PluralRules(this.locale).select(count);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    interpolate(message, params) {
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    formatNumber(value) {
+        return new Intl.NumberFormat(this.locale).format(value);
+    }
+
+    formatDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(value);
+    }
+
+    /**
+     * Localize data-i18n (text) and data-i18n-attr ("attr:key, attr:key") elements
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const key = element.dataset.i18n;
+            if (this.has(key)) {
+                element.textContent = this.t(key);
+            }
+        });
         
-        // Focus management for accessibility
-        const closeButton = modal.querySelector('button');
-        if (closeButton) {
-            closeButton.focus();
-        }
-    }
-
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : '#6366f1'};
-            color: white;
-            padding: 16px 24px;
-            border-radius: 8px;
-            box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1);
-            z-index: 1060;
-            max-width: 350px;
-            font-size: 14px;
-            line-height: 1.5;
-            animation: slideInRight 0.3s ease-out;
-        `;
-        notification.textContent = message;
-        
-        // Add to DOM
-        document.body.appendChild(notification);
-        
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            notification.style.animation = 'slideOutRight 0.3s ease-in';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key && this.has(key)) {
+                    element.setAttribute(attribute, this.t(key));
                 }
-            }, 300);
-        }, 5000);
+            });
+        });
     }
 
-    trackConversion(type) {
-        // Google Analytics 4 tracking (replace with your tracking ID)
-        if (typeof gtag !== 'undefined') {
-            gtag('event', 'form_submit', {
-                form_type: type,
-                timestamp: new Date().toISOString()
-            });
-        }
+    setupSwitcher() {
+        const switcher = document.getElementById('languageSwitcher');
+        if (!switcher) return;
         
-        // Facebook Pixel tracking
-        if (typeof fbq !== 'undefined') {
-            fbq('track', 'Lead', {
-                form_type: type
-            });
-        }
+        Object.keys(this.settings.LOCALES).forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = this.settings.LOCALES[locale].name;
+            switcher.appendChild(option);
+        });
         
-        // Console log for development
-        console.log('Conversion tracked:', { type, timestamp: new Date().toISOString() });
+        switcher.value = this.locale;
+        switcher.addEventListener('change', () => {
+            this.setLocale(switcher.value);
+        });
     }
 }
 
+const i18n = new I18n();
+
 // =============================================================================
-// SCROLL ANIMATIONS
+// NAVIGATION FUNCTIONALITY
 // =============================================================================
 
-class ScrollAnimations {
+class Navigation extends AppModule {
     constructor() {
-        this.elements = document.querySelectorAll('.animate-on-scroll');
-        this.observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
+        super();
+        this.header = document.getElementById('header');
+        this.navLinks = document.getElementById('navLinks');
+        this.mobileMenu = document.getElementById('mobileMenu');
+        this.navLinkElements = document.querySelectorAll('.nav-link');
+        this.sections = Array.from(document.querySelectorAll('section[id]'));
         
-        this.init();
+        // Hash updates from scrolling wait until a programmatic scroll settles
+        this.syncPausedUntil = 0;
     }
 
     init() {
-        if ('IntersectionObserver' in window) {
-            this.setupIntersectionObserver();
-        } else {
-            // Fallback for older browsers
-            this.setupScrollListener();
-        }
+        this.setupScrollEffect();
+        this.setupMobileMenu();
+        this.setupActiveNavigation();
+        this.setupDeepLinking();
     }
 
-    setupIntersectionObserver() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach((entry, index) => {
-                if (entry.isIntersecting) {
-                    setTimeout(() => {
-                        entry.target.classList.add('animated');
-                    }, index * CONFIG.ANIMATION_DELAY);
-                    
-                    // Unobserve after animation to improve performance
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, this.observerOptions);
-
-        this.elements.forEach(element => {
-            observer.observe(element);
+    setupScrollEffect() {
+        this.onScroll({
+            write: ({ scrollY }) => {
+                this.header.classList.toggle('scrolled', scrollY > 50);
+            }
         });
     }
 
-    setupScrollListener() {
-        const animateElements = Utils.throttle(() => {
-            this.elements.forEach((element, index) => {
-                if (!element.classList.contains('animated') && Utils.isInViewport(element)) {
-                    setTimeout(() => {
-                        element.classList.add('animated');
-                    }, index * CONFIG.ANIMATION_DELAY);
-                }
-            });
-        }, CONFIG.THROTTLE_DELAY);
-
-        window.addEventListener('scroll', animateElements);
-        // Initial check
-        animateElements();
-    }
-}
-
-// =============================================================================
-// BACK TO TOP FUNCTIONALITY
-// =============================================================================
-
-class BackToTop {
-    constructor() {
-        this.button = document.getElementById('backToTop');
-        this.init();
-    }
-
-    init() {
-        if (!this.button) return;
+    setupMobileMenu() {
+        if (!this.mobileMenu || !this.navLinks) return;
 
-        this.setupScrollListener();
-        this.setupClickHandler();
-    }
+        this.listen(this.mobileMenu, 'click', () => {
+            this.toggleMobileMenu();
+        });
 
-    setupScrollListener() {
-        const handleScroll = Utils.throttle(() => {
-            const scrollY = window.scrollY;
-            
-            if (scrollY > CONFIG.SCROLL_THRESHOLD) {
-                this.button.classList.add('show');
-            } else {
-                this.button.classList.remove('show');
+        // Close mobile menu when clicking outside
+        this.listen(document, 'click', (e) => {
+            if (!this.header.contains(e.target) && this.navLinks.classList.contains('active')) {
+                this.closeMobileMenu();
             }
-        }, CONFIG.THROTTLE_DELAY);
-
-        window.addEventListener('scroll', handleScroll);
-    }
+        });
 
-    setupClickHandler() {
-        this.button.addEventListener('click', (e) => {
-            e.preventDefault();
-            window.scrollTo({
-                top: 0,
-                behavior: 'smooth'
+        // Close mobile menu when clicking on nav links
+        this.navLinkElements.forEach(link => {
+            this.listen(link, 'click', () => {
+                this.closeMobileMenu();
             });
         });
     }
-}
-
-// =============================================================================
-// MODAL FUNCTIONALITY
-// =============================================================================
 
-class ModalManager {
-    constructor() {
-        this.modals = document.querySelectorAll('.modal');
-        this.init();
+    toggleMobileMenu() {
+        this.mobileMenu.classList.toggle('active');
+        this.navLinks.classList.toggle('active');
+        
+        // Toggle aria attributes for accessibility
+        const isExpanded = this.navLinks.classList.contains('active');
+        this.mobileMenu.setAttribute('aria-expanded', isExpanded);
     }
 
-    init() {
-        this.setupEventListeners();
-        this.setupKeyboardNavigation();
+    closeMobileMenu() {
+        if (!this.mobileMenu || !this.navLinks) return;
+        
+        this.mobileMenu.classList.remove('active');
+        this.navLinks.classList.remove('active');
+        this.mobileMenu.setAttribute('aria-expanded', 'false');
     }
 
-    setupEventListeners() {
-        // Close modal when clicking outside
-        this.modals.forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    this.closeModal(modal);
+    setupActiveNavigation() {
+        const sections = this.sections;
+        if (sections.length === 0 || !('IntersectionObserver' in window)) return;
+        
+        const visible = new Set();
+        
+        // A section is current while it crosses the band just below the fixed header
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    visible.add(entry.target);
+                } else {
+                    visible.delete(entry.target);
                 }
             });
             
-            // Close button
-            const closeBtn = modal.querySelector('button');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => {
-                    this.closeModal(modal);
-                });
+            const current = sections.find(section => visible.has(section));
+            if (current && Date.now() >= this.syncPausedUntil) {
+                this.setActiveLink(current.id);
+                this.syncHash(current.id);
             }
+        }, { rootMargin: '-100px 0px -60% 0px' });
+        
+        sections.forEach(section => observer.observe(section));
+        this.onDestroy(() => observer.disconnect());
+    }
+
+    setActiveLink(sectionId) {
+        this.navLinkElements.forEach(link => {
+            link.classList.toggle('active', link.getAttribute('href') === `#${sectionId}`);
         });
     }
 
-    setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                const openModal = document.querySelector('.modal.show');
-                if (openModal) {
-                    this.closeModal(openModal);
-                }
+    setupDeepLinking() {
+        // Any in-page link to a section, not just the nav, gets a history entry
+        this.listen(document, 'click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            
+            const section = this.getSection(link.getAttribute('href').substring(1));
+            if (!section) return;
+            
+            e.preventDefault();
+            if (window.location.hash !== `#${section.id}`) {
+                history.pushState({ ...history.state, section: section.id }, '', `#${section.id}`);
+            }
+            this.scrollToSection(section);
+        });
+        
+        this.listen(window, 'popstate', () => {
+            const section = this.getSection(window.location.hash.substring(1));
+            if (section) {
+                this.scrollToSection(section);
             }
         });
+        
+        // The browser's own jump on load ignores the fixed header
+        const initial = this.getSection(window.location.hash.substring(1));
+        if (initial) {
+            requestAnimationFrame(() => this.scrollToSection(initial, { behavior: 'auto' }));
+        }
     }
 
-    closeModal(modal) {
-        modal.classList.remove('show');
+    getSection(id) {
+        return this.sections.find(section => section.id === id) || null;
+    }
+
+    scrollToSection(section, options = {}) {
+        const { behavior = 'smooth', focus = true } = options;
         
-        // Return focus to the element that opened the modal
-        const focusReturn = document.querySelector('[data-modal-trigger]');
-        if (focusReturn) {
-            focusReturn.focus();
+        this.syncPausedUntil = Date.now() + 1000;
+        this.setActiveLink(section.id);
+        Utils.smoothScrollTo(section, CONFIG.HEADER_OFFSET, behavior);
+        
+        if (focus) {
+            this.focusSection(section);
         }
     }
-}
 
-// Global function for closing modal (called from HTML)
-function closeModal() {
-    const modal = document.querySelector('.modal.show');
-    if (modal) {
-        modal.classList.remove('show');
+    /**
+     * Move focus to the section heading so keyboard and screen reader users
+     * continue from where the page scrolled to
+     */
+    focusSection(section) {
+        const heading = section.querySelector('h1, h2') || section;
+        
+        if (!heading.hasAttribute('tabindex')) {
+            heading.setAttribute('tabindex', '-1');
+        }
+        heading.focus({ preventScroll: true });
+    }
+
+    /**
+     * Keep the URL on the section being read without adding history entries
+     */
+    syncHash(id) {
+        const hash = window.location.hash;
+        if (hash === `#${id}`) return;
+        
+        // Leave hashes owned by something else alone, e.g. wizard steps
+        if (hash && !this.getSection(hash.substring(1))) return;
+        
+        // No need to put #home on a fresh page load
+        if (!hash && id === this.sections[0].id) return;
+        
+        history.replaceState({ ...history.state, section: id }, '', `#${id}`);
     }
 }
 
 // =============================================================================
-// PERFORMANCE OPTIMIZATION
+// FORM SUBMISSION CLIENT
 // =============================================================================
 
-class PerformanceOptimizer {
-    constructor() {
-        this.init();
+const SUBMISSION_RESULT = Object.freeze({
+    SUCCESS: 'success',
+    VALIDATION: 'validation',
+    RATE_LIMITED: 'rate_limited',
+    SERVER_ERROR: 'server_error',
+    NETWORK_ERROR: 'network_error',
+    TIMEOUT: 'timeout',
+    REJECTED: 'rejected'
+});
+
+class SubmissionClient {
+    constructor(options = {}) {
+        const settings = { ...CONFIG.SUBMISSION, ...options };
+        
+        this.timeout = settings.TIMEOUT;
+        this.maxRetries = settings.MAX_RETRIES;
+        this.retryBaseDelay = settings.RETRY_BASE_DELAY;
+        this.retryMaxDelay = settings.RETRY_MAX_DELAY;
+        
+        this.endpoints = {
+            lead: CONFIG.ENDPOINTS.LEAD_FORM,
+            contact: CONFIG.ENDPOINTS.CONTACT_FORM,
+            newsletter: CONFIG.ENDPOINTS.NEWSLETTER,
+            booking: CONFIG.ENDPOINTS.BOOKING
+        };
     }
 
-    init() {
-        this.preloadCriticalResources();
-        this.lazyLoadImages();
-        this.optimizeAnimations();
+    getEndpoint(type) {
+        return this.endpoints[type] || CONFIG.ENDPOINTS.CONTACT_FORM;
     }
 
-    preloadCriticalResources() {
-        // Preload hero background image
-        const heroSection = document.querySelector('.hero');
-        if (heroSection) {
-            const img = new Image();
-            img.src = '/images/hero-bg.jpg'; // Replace with actual image path
+    /**
+     * Submit a payload, retrying 5xx, network errors and timeouts with
+     * exponential backoff. Every attempt carries the same idempotency key
+     * so the server can discard duplicates of a submission it already stored.
+     */
+    async submit(type, data, options = {}) {
+        const endpoint = options.endpoint || this.getEndpoint(type);
+        const idempotencyKey = options.idempotencyKey || Utils.generateId();
+        let attempt = 0;
+        let result;
+        
+        while (true) {
+            result = await this.attemptSubmission(endpoint, data, idempotencyKey);
+            
+            if (!this.isRetryable(result) || attempt >= this.maxRetries) {
+                break;
+            }
+            
+            await Utils.sleep(this.getBackoffDelay(attempt));
+            attempt++;
         }
+        
+        result.attempts = attempt + 1;
+        result.idempotencyKey = idempotencyKey;
+        return result;
     }
 
-    lazyLoadImages() {
-        if ('loading' in HTMLImageElement.prototype) {
-            // Native lazy loading support
-            const images = document.querySelectorAll('img[data-src]');
-            images.forEach(img => {
-                img.src = img.dataset.src;
-                img.removeAttribute('data-src');
+    async attemptSubmission(endpoint, data, idempotencyKey) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+        
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Idempotency-Key': idempotencyKey
+                },
+                body: JSON.stringify(data),
+                signal: controller.signal
             });
-        } else {
-            // Fallback with Intersection Observer
-            this.setupImageLazyLoading();
+        } catch (error) {
+            return {
+                ok: false,
+                kind: error.name === 'AbortError' ? SUBMISSION_RESULT.TIMEOUT : SUBMISSION_RESULT.NETWORK_ERROR,
+                status: 0,
+                error: error
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        const body = await this.parseBody(response);
+        const status = response.status;
+        
+        if (response.ok) {
+            return { ok: true, kind: SUBMISSION_RESULT.SUCCESS, status, data: body };
+        }
+        
+        if (status === 422) {
+            return {
+                ok: false,
+                kind: SUBMISSION_RESULT.VALIDATION,
+                status,
+                fieldErrors: this.normalizeFieldErrors(body),
+                data: body
+            };
+        }
+        
+        if (status === 429) {
+            return {
+                ok: false,
+                kind: SUBMISSION_RESULT.RATE_LIMITED,
+                status,
+                retryAfter: this.parseRetryAfter(response.headers.get('Retry-After')),
+                data: body
+            };
         }
+        
+        return {
+            ok: false,
+            kind: status >= 500 ? SUBMISSION_RESULT.SERVER_ERROR : SUBMISSION_RESULT.REJECTED,
+            status,
+            data: body
+        };
     }
 
-    setupImageLazyLoading() {
-        const imageObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    img.src = img.dataset.src;
-                    img.classList.remove('lazy');
-                    imageObserver.unobserve(img);
-                }
-            });
-        });
+    async parseBody(response) {
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('application/json')) {
+            return null;
+        }
+        
+        try {
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    }
 
-        const lazyImages = document.querySelectorAll('img[data-src]');
-        lazyImages.forEach(img => imageObserver.observe(img));
+    isRetryable(result) {
+        return result.kind === SUBMISSION_RESULT.SERVER_ERROR ||
+               result.kind === SUBMISSION_RESULT.NETWORK_ERROR ||
+               result.kind === SUBMISSION_RESULT.TIMEOUT;
     }
 
-    optimizeAnimations() {
-        // Reduce animations on low-end devices
-        if (navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4) {
-            document.documentElement.classList.add('reduce-animations');
-        }
+    getBackoffDelay(attempt) {
+        const exponential = this.retryBaseDelay * Math.pow(2, attempt);
+        const capped = Math.min(exponential, this.retryMaxDelay);
+        
+        // Full jitter keeps simultaneous clients from retrying in lockstep
+        return Math.round(Math.random() * capped);
+    }
 
-        // Pause animations when page is not visible
-        document.addEventListener('visibilitychange', () => {
-            const animatedElements = document.querySelectorAll('[style*="animation"]');
-            animatedElements.forEach(element => {
-                if (document.hidden) {
-                    element.style.animationPlayState = 'paused';
-                } else {
-                    element.style.animationPlayState = 'running';
-                }
+    /**
+     * Accepts either `{ errors: { field: ['msg'] } }` or
+     * `{ errors: [{ field, message }] }` and returns `{ field: ['msg'] }`
+     */
+    normalizeFieldErrors(body) {
+        const fieldErrors = {};
+        const errors = body && body.errors;
+        
+        if (Array.isArray(errors)) {
+            errors.forEach(({ field, message }) => {
+                if (!field) return;
+                (fieldErrors[field] = fieldErrors[field] || []).push(message);
             });
-        });
+        } else if (errors && typeof errors === 'object') {
+            Object.keys(errors).forEach(field => {
+                const messages = errors[field];
+                fieldErrors[field] = Array.isArray(messages) ? messages : [messages];
+            });
+        }
+        
+        return fieldErrors;
+    }
+
+    /**
+     * Retry-After is either delta-seconds or an HTTP date; returns seconds
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        
+        const seconds = parseInt(value, 10);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds);
+        }
+        
+        const date = Date.parse(value);
+        if (!isNaN(date)) {
+            return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+        }
+        
+        return null;
     }
 }
 
 // =============================================================================
-// ACCESSIBILITY ENHANCEMENTS
+// OFFLINE SUBMISSION QUEUE
 // =============================================================================
 
-class AccessibilityManager {
+class OfflineQueue {
     constructor() {
-        this.init();
+        this.settings = CONFIG.OFFLINE_QUEUE;
     }
 
-    init() {
-        this.setupKeyboardNavigation();
-        this.setupFocusManagement();
-        this.setupScreenReaderSupport();
-        this.setupReducedMotionSupport();
+    static isSupported() {
+        return 'indexedDB' in window;
     }
 
-    setupKeyboardNavigation() {
-        // Ensure all interactive elements are keyboard accessible
-        const interactiveElements = document.querySelectorAll('button, a, input, select, textarea');
-        
-        interactiveElements.forEach(element => {
-            if (!element.hasAttribute('tabindex')) {
-                element.setAttribute('tabindex', '0');
-            }
-        });
+    static isSyncSupported() {
+        return 'serviceWorker' in navigator && 'SyncManager' in window;
+    }
 
-        // Skip link functionality
-        const skipLink = document.querySelector('.skip-link');
-        if (skipLink) {
-            skipLink.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = document.querySelector('#main-content') || document.querySelector('main');
-                if (target) {
-                    target.focus();
-                    target.scrollIntoView();
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.settings.DB_NAME, this.settings.DB_VERSION);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.settings.STORE_NAME)) {
+                    db.createObjectStore(this.settings.STORE_NAME, { keyPath: 'id' });
                 }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async withStore(mode, callback) {
+        const db = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.settings.STORE_NAME, mode);
+            const request = callback(transaction.objectStore(this.settings.STORE_NAME));
+            
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request ? request.result : undefined);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Store a submission for later delivery and ask the service worker
+     * to replay it once connectivity returns
+     */
+    async enqueue(formType, endpoint, data, idempotencyKey) {
+        const entry = {
+            id: idempotencyKey,
+            formType,
+            endpoint,
+            data,
+            idempotencyKey,
+            createdAt: Date.now()
+        };
+        
+        await this.withStore('readwrite', store => store.put(entry));
+        
+        // Not awaited: serviceWorker.ready never settles if registration failed,
+        // and the page-side replay covers that case anyway
+        this.requestSync();
+        return entry;
+    }
+
+    getAll() {
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    get(id) {
+        return this.withStore('readonly', store => store.get(id));
+    }
+
+    remove(id) {
+        return this.withStore('readwrite', store => store.delete(id));
+    }
+
+    async requestSync() {
+        if (!OfflineQueue.isSyncSupported()) return false;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.sync.register(this.settings.SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.log('Background Sync registration failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replay queued submissions from the page, as a fallback for when
+     * Background Sync is unavailable or never fires. Calls
+     * onSettled(entry, result) for each entry that was delivered or
+     * permanently rejected. Overlapping calls share one run.
+     */
+    replay(client, onSettled) {
+        if (!this.replaying) {
+            this.replaying = this.replayEntries(client, onSettled).finally(() => {
+                this.replaying = null;
             });
         }
+        return this.replaying;
+    }
+
+    async replayEntries(client, onSettled) {
+        const entries = await this.getAll();
+        
+        for (const entry of entries) {
+            if (Date.now() - entry.createdAt > this.settings.MAX_AGE) {
+                await this.remove(entry.id);
+                continue;
+            }
+            
+            // The service worker may have delivered it in the meantime
+            if (!(await this.get(entry.id))) continue;
+            
+            // Same idempotency key as the service worker's replay, so the
+            // server stores it once even if both send it
+            const result = await client.attemptSubmission(entry.endpoint, entry.data, entry.idempotencyKey);
+            
+            if (result.ok || result.kind === SUBMISSION_RESULT.VALIDATION || result.kind === SUBMISSION_RESULT.REJECTED) {
+                await this.remove(entry.id);
+                onSettled(entry, result);
+            }
+        }
+    }
+}
+
+// =============================================================================
+// FORM VALIDATION & SUBMISSION
+// =============================================================================
+
+/**
+ * Validation schemas keyed by form type (the form's data-form-type).
+ *
+ * fields.<name>.rules       - built-in or registered sync rules and their parameter
+ * fields.<name>.asyncRules  - registered async rules, run once the sync rules pass
+ * fields.<name>.messages    - per-rule message overrides: an i18n key, literal text or fn(param)
+ * fields.<name>.showAllErrors - list every failing rule instead of the first
+ * crossField                - rules over several fields: { fields, validate(values), message }
+ *
+ * Rules from HTML attributes (required, type, minlength...) still apply and
+ * are overridden by the schema where both define the same rule.
+ */
+const FORM_SCHEMAS = {
+    contact: {
+        fields: {
+            service: {
+                rules: { required: true },
+                messages: { required: 'validation.serviceRequired' }
+            },
+            budget: {
+                rules: { required: true },
+                messages: { required: 'validation.budgetRequired' }
+            },
+            timeline: {
+                rules: { required: true },
+                messages: { required: 'validation.timelineRequired' }
+            },
+            name: {
+                rules: { required: true, minLength: 2, maxLength: 100 },
+                messages: { required: 'validation.nameRequired' }
+            },
+            email: {
+                rules: { required: true, email: true, maxLength: 254 },
+                messages: { required: 'validation.emailRequired' }
+            },
+            phone: { rules: { phone: true } },
+            company: { rules: { maxLength: 120 } },
+            message: {
+                rules: { required: true, minLength: 20, maxLength: 5000 },
+                messages: {
+                    required: 'validation.goalsRequired',
+                    minLength: 'validation.goalsMinLength'
+                },
+                showAllErrors: true
+            }
+        }
+    },
+    newsletter: {
+        fields: {
+            email: {
+                rules: { required: true, email: true, maxLength: 254 },
+                asyncRules: { notSubscribed: true }
+            }
+        }
+    }
+};
+
+class FormValidator {
+    constructor() {
+        this.rules = {
+            required: (value) => value.trim() !== '',
+            email: (value) => CONFIG.EMAIL_REGEX.test(value),
+            phone: (value, param, { field } = {}) => Utils.parsePhoneNumber(value, field && field.dataset.phoneCountry).isValid,
+            notDisposable: (value) => !Utils.isDisposableEmail(value),
+            minLength: (value, length) => value.length >= length,
+            maxLength: (value, length) => value.length <= length,
+            pattern: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`)).test(value),
+            min: (value, min) => parseFloat(value) >= min,
+            max: (value, max) => parseFloat(value) <= max
+        };
+        
+        this.asyncRules = {};
+        
+        // i18n keys, resolved when the message is shown
+        this.messages = {
+            required: 'validation.required',
+            email: 'validation.email',
+            phone: 'validation.phone',
+            notDisposable: CONFIG.EMAIL.DISPOSABLE_MESSAGE,
+            minLength: 'validation.minLength',
+            maxLength: 'validation.maxLength',
+            pattern: 'validation.pattern',
+            min: 'validation.min',
+            max: 'validation.max',
+            invalid: 'validation.invalid'
+        };
+        
+        // In-flight async validations per field, so a newer one cancels the older
+        this.pendingValidations = new WeakMap();
+    }
+
+    /**
+     * Register a custom synchronous rule: validate(value, param, context) => boolean
+     */
+    addRule(name, validate, message) {
+        this.rules[name] = validate;
+        if (message) this.messages[name] = message;
+    }
+
+    /**
+     * Register a custom asynchronous rule:
+     * validate(value, param, { signal, field, values }) => Promise<boolean>
+     */
+    addAsyncRule(name, validate, message) {
+        this.asyncRules[name] = validate;
+        if (message) this.messages[name] = message;
     }
 
-    setupFocusManagement() {
-        // Focus trap for modals
-        document.addEventListener('keydown', (e) => {
-            const openModal = document.querySelector('.modal.show');
-            if (openModal && e.key === 'Tab') {
-                this.trapFocus(e, openModal);
+    /**
+     * Accepts the legacy rule list (['required', { type: 'minLength', value: 2 }])
+     * or a field schema ({ rules, asyncRules, messages, showAllErrors })
+     */
+    normalizeSchema(rulesOrSchema = []) {
+        if (!Array.isArray(rulesOrSchema)) {
+            return { rules: {}, asyncRules: {}, messages: {}, ...rulesOrSchema };
+        }
+        
+        const rules = {};
+        rulesOrSchema.forEach(rule => {
+            if (typeof rule === 'string') {
+                rules[rule] = true;
+            } else if (rule && typeof rule === 'object') {
+                rules[rule.type] = rule.value;
             }
         });
+        return { rules, asyncRules: {}, messages: {} };
     }
 
-    trapFocus(e, container) {
-        const focusableElements = container.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+    getMessage(ruleName, param, schema) {
+        const message = (schema.messages && schema.messages[ruleName]) || this.messages[ruleName] || this.messages.invalid;
+        return this.resolveMessage(message, param);
+    }
+
+    /**
+     * Messages are i18n keys, literal strings or functions of the rule parameter
+     */
+    resolveMessage(message, param) {
+        if (typeof message === 'function') {
+            return message(param);
+        }
+        if (i18n.has(message)) {
+            return i18n.t(message, { value: param });
+        }
+        return String(message).replace('{value}', param);
+    }
+
+    validateField(field, rulesOrSchema = [], values = {}) {
+        const schema = this.normalizeSchema(rulesOrSchema);
+        const value = field.value.trim();
+        const errors = [];
         
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+        Object.keys(schema.rules).forEach(ruleName => {
+            const param = schema.rules[ruleName];
+            if (param === false || param === undefined || param === null) return;
+            
+            // Only 'required' applies to empty fields
+            if (ruleName !== 'required' && !value) return;
+            
+            const validate = typeof param === 'function' ? param : this.rules[ruleName];
+            if (!validate) {
+                console.warn(`Unknown validation rule: ${ruleName}`);
+                return;
+            }
+            
+            if (!validate(value, param, { field, values })) {
+                errors.push(this.getMessage(ruleName, param, schema));
+            }
+        });
+        
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
 
-        if (e.shiftKey) {
-            if (document.activeElement === firstElement) {
-                lastElement.focus();
-                e.preventDefault();
+    /**
+     * Run the sync rules, then the async ones. Starting a new validation for a
+     * field aborts the previous one; a superseded run resolves with cancelled: true.
+     */
+    async validateFieldAsync(field, rulesOrSchema = [], values = {}) {
+        this.cancelPendingValidation(field);
+        
+        const schema = this.normalizeSchema(rulesOrSchema);
+        const result = this.validateField(field, schema, values);
+        const asyncRuleNames = Object.keys(schema.asyncRules).filter(name => schema.asyncRules[name]);
+        const value = field.value.trim();
+        
+        if (!result.isValid || !value || asyncRuleNames.length === 0) {
+            return result;
+        }
+        
+        const controller = new AbortController();
+        this.pendingValidations.set(field, controller);
+        
+        try {
+            const messages = await Promise.all(asyncRuleNames.map(async ruleName => {
+                const validate = this.asyncRules[ruleName];
+                if (!validate) {
+                    console.warn(`Unknown async validation rule: ${ruleName}`);
+                    return null;
+                }
+                
+                const param = schema.asyncRules[ruleName];
+                const valid = await validate(value, param, { signal: controller.signal, field, values });
+                return valid ? null : this.getMessage(ruleName, param, schema);
+            }));
+            
+            if (controller.signal.aborted) {
+                return { isValid: false, errors: [], cancelled: true };
+            }
+            
+            const errors = messages.filter(Boolean);
+            return { isValid: errors.length === 0, errors };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { isValid: false, errors: [], cancelled: true };
+            }
+            
+            // A failing check shouldn't stop the visitor from submitting
+            console.error('Async validation error:', error);
+            return result;
+        } finally {
+            if (this.pendingValidations.get(field) === controller) {
+                this.pendingValidations.delete(field);
             }
+        }
+    }
+
+    cancelPendingValidation(field) {
+        const controller = this.pendingValidations.get(field);
+        if (controller) {
+            controller.abort();
+            this.pendingValidations.delete(field);
+        }
+    }
+
+    /**
+     * Returns { fieldName: [messages] } for every failing cross-field rule
+     */
+    validateCrossField(crossFieldRules = [], values = {}) {
+        const fieldErrors = {};
+        
+        crossFieldRules.forEach(rule => {
+            if (rule.validate(values)) return;
+            
+            rule.fields.forEach(name => {
+                (fieldErrors[name] = fieldErrors[name] || []).push(this.resolveMessage(rule.message || this.messages.invalid));
+            });
+        });
+        
+        return fieldErrors;
+    }
+
+    showFieldError(field, errors, options = {}) {
+        const formGroup = field.closest('.form-group');
+        if (!formGroup) return;
+        
+        let errorElement = formGroup.querySelector('.form-error');
+        
+        if (errors.length > 0) {
+            formGroup.classList.add('error');
+            formGroup.classList.remove('success');
+            field.setAttribute('aria-invalid', 'true');
+            
+            errorElement = errorElement || this.createErrorElement(formGroup, field);
+            const messages = options.showAll ? errors : errors.slice(0, 1);
+            errorElement.replaceChildren(...messages.map(message => {
+                const line = document.createElement('span');
+                line.className = 'form-error-message';
+                line.textContent = message;
+                return line;
+            }));
+            errorElement.classList.add('show');
         } else {
-            if (document.activeElement === lastElement) {
-                firstElement.focus();
-                e.preventDefault();
+            formGroup.classList.remove('error');
+            formGroup.classList.add('success');
+            field.removeAttribute('aria-invalid');
+            if (errorElement) {
+                errorElement.classList.remove('show');
+            }
+        }
+    }
+
+    createErrorElement(formGroup, field) {
+        const errorElement = document.createElement('div');
+        errorElement.className = 'form-error';
+        errorElement.setAttribute('role', 'alert');
+        errorElement.setAttribute('aria-live', 'polite');
+        if (field.id) {
+            errorElement.id = `${field.id}Error`;
+            field.setAttribute('aria-describedby', errorElement.id);
+        }
+        formGroup.appendChild(errorElement);
+        return errorElement;
+    }
+
+    clearFieldError(field) {
+        const formGroup = field.closest('.form-group');
+        if (!formGroup) return;
+        
+        const errorElement = formGroup.querySelector('.form-error');
+        
+        formGroup.classList.remove('error', 'success');
+        field.removeAttribute('aria-invalid');
+        if (errorElement) {
+            errorElement.classList.remove('show');
+        }
+    }
+}
+
+class FormHandler extends AppModule {
+    constructor(notifications, modalManager, attribution, leadScorer) {
+        super();
+        this.notifications = notifications;
+        this.modals = modalManager;
+        this.attribution = attribution;
+        this.leadScorer = leadScorer;
+        this.validator = new FormValidator();
+        this.submissionClient = new SubmissionClient();
+        this.offlineQueue = OfflineQueue.isSupported() ? new OfflineQueue() : null;
+        this.settledQueueIds = new Set();
+        this.draftManager = new FormDraftManager();
+        this.botProtection = new BotProtection();
+        this.forms = {
+            hero: document.getElementById('leadForm'),
+            contact: document.getElementById('contactForm'),
+            newsletter: document.getElementById('newsletterForm')
+        };
+    }
+
+    init() {
+        this.onDestroy(() => {
+            this.botProtection.destroy();
+            this.draftManager.destroy();
+            if (this.contactWizard) {
+                this.contactWizard.destroy();
+            }
+        });
+        
+        Object.values(this.forms).forEach(form => this.botProtection.protect(form));
+        this.setupHeroForm();
+        this.setupContactForm();
+        this.setupNewsletterForm();
+        this.setupCustomRules();
+        this.setupRealTimeValidation();
+        this.setupOfflineQueue();
+        this.setupDrafts();
+    }
+
+    setupDrafts() {
+        // Newsletter signups are a single field, not worth a draft
+        [this.forms.hero, this.forms.contact].forEach(form => this.draftManager.watch(form));
+    }
+
+    setupHeroForm() {
+        const form = this.forms.hero;
+        if (!form) return;
+        form.dataset.formType = form.dataset.formType || 'lead';
+
+        this.listen(form, 'submit', async (e) => {
+            e.preventDefault();
+            await this.handleFormSubmission(form, 'lead');
+        });
+    }
+
+    setupContactForm() {
+        const form = this.forms.contact;
+        if (!form) return;
+        form.dataset.formType = form.dataset.formType || 'contact';
+
+        // The wizard validates step by step and submits on the final step
+        if (form.hasAttribute('data-wizard')) {
+            this.contactWizard = new FormWizard(form, this, 'contact');
+            return;
+        }
+
+        this.listen(form, 'submit', async (e) => {
+            e.preventDefault();
+            await this.handleFormSubmission(form, 'contact');
+        });
+    }
+
+    setupNewsletterForm() {
+        const form = this.forms.newsletter;
+        if (!form) return;
+        form.dataset.formType = form.dataset.formType || 'newsletter';
+
+        this.listen(form, 'submit', async (e) => {
+            e.preventDefault();
+            await this.handleFormSubmission(form, 'newsletter');
+        });
+    }
+
+    setupCustomRules() {
+        // Server-side check so visitors learn about a duplicate before submitting
+        this.validator.addAsyncRule('notSubscribed', async (value, param, { signal }) => {
+            const url = `${CONFIG.ENDPOINTS.NEWSLETTER_CHECK}?email=${encodeURIComponent(value)}`;
+            const response = await fetch(url, { signal, headers: { 'Accept': 'application/json' } });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            
+            const result = await response.json();
+            return !result.subscribed;
+        }, 'validation.alreadySubscribed');
+    }
+
+    setupRealTimeValidation() {
+        // Real-time validation for all forms
+        Object.values(this.forms).forEach(form => {
+            if (!form) return;
+
+            const fields = form.querySelectorAll('input, textarea, select');
+            
+            fields.forEach(field => {
+                // Validate on blur
+                this.listen(field, 'blur', () => {
+                    this.validateSingleField(field);
+                });
+
+                // Clear errors on focus
+                this.listen(field, 'focus', () => {
+                    this.validator.clearFieldError(field);
+                });
+
+                // Real-time validation for email, phone and fields with async rules
+                const schema = this.getFieldSchema(field);
+                if (field.type === 'email' || field.type === 'tel' || Object.keys(schema.asyncRules).length > 0) {
+                    const debouncedValidation = Utils.debounce(() => {
+                        this.validateSingleField(field);
+                    }, CONFIG.DEBOUNCE_DELAY);
+                    
+                    this.listen(field, 'input', () => {
+                        // Drop any in-flight async check for the old value right away
+                        this.validator.cancelPendingValidation(field);
+                        debouncedValidation();
+                    });
+                }
+            });
+        });
+    }
+
+    setupOfflineQueue() {
+        if (!this.offlineQueue) return;
+
+        // Delivery reports from the service worker's Background Sync replay
+        if ('serviceWorker' in navigator) {
+            this.listen(navigator.serviceWorker, 'message', (e) => {
+                const message = e.data || {};
+                if (message.type === 'SUBMISSION_DELIVERED') {
+                    this.handleQueuedDelivery(message.formType, message.id);
+                } else if (message.type === 'SUBMISSION_REJECTED') {
+                    this.handleQueuedRejection(message.formType, message.id);
+                }
+            });
+        }
+
+        // The page replays too, in case the service worker or Background Sync
+        // never got set up; both paths settle each entry once
+        const replay = () => {
+            this.offlineQueue.replay(this.submissionClient, (entry, result) => {
+                if (result.ok) {
+                    this.handleQueuedDelivery(entry.formType, entry.id);
+                } else {
+                    this.handleQueuedRejection(entry.formType, entry.id);
+                }
+            }).catch(error => {
+                console.error('Offline queue replay error:', error);
+            });
+        };
+
+        if (navigator.onLine) replay();
+        this.listen(window, 'online', replay);
+    }
+
+    /**
+     * Whether a queued entry's outcome is new, as both the service worker
+     * and the page can report the same one
+     */
+    claimQueuedResult(id) {
+        if (!id) return true;
+        if (this.settledQueueIds.has(id)) return false;
+        
+        this.settledQueueIds.add(id);
+        return true;
+    }
+
+    async queueSubmission(type, data, options = {}) {
+        if (!this.offlineQueue) return false;
+        
+        const endpoint = options.endpoint || this.submissionClient.getEndpoint(type);
+        const idempotencyKey = options.idempotencyKey || Utils.generateId();
+        
+        try {
+            await this.offlineQueue.enqueue(type, endpoint, data, idempotencyKey);
+            return true;
+        } catch (error) {
+            console.error('Could not queue submission:', error);
+            return false;
+        }
+    }
+
+    handleQueuedDelivery(type, id) {
+        if (!this.claimQueuedResult(id)) return;
+        
+        this.notifications.success(i18n.t('form.queuedDelivered'));
+        events.emit('form:submitted', { formType: type, queued: true });
+    }
+
+    handleQueuedRejection(type, id) {
+        if (!this.claimQueuedResult(id)) return;
+        
+        this.notifications.error(i18n.t('form.queuedRejected'));
+    }
+
+    async validateSingleField(field) {
+        const schema = this.getFieldSchema(field);
+        const validation = await this.validator.validateFieldAsync(field, schema, this.getFormValues(field.form));
+        
+        // A newer validation of this field superseded this one
+        if (validation.cancelled) return false;
+        
+        this.validator.showFieldError(field, validation.errors, { showAll: schema.showAllErrors });
+        return validation.isValid;
+    }
+
+    getFormSchema(form) {
+        return (form && FORM_SCHEMAS[form.dataset.formType]) || { fields: {} };
+    }
+
+    /**
+     * Merge rules from HTML attributes with the form's schema for this field
+     */
+    getFieldSchema(field) {
+        const attributeSchema = this.validator.normalizeSchema(this.getValidationRules(field));
+        const fieldSchema = this.getFormSchema(field.form).fields[field.name] || {};
+        
+        return {
+            ...fieldSchema,
+            rules: { ...attributeSchema.rules, ...fieldSchema.rules },
+            asyncRules: { ...fieldSchema.asyncRules },
+            messages: { ...fieldSchema.messages }
+        };
+    }
+
+    getValidationRules(field) {
+        const rules = [];
+        
+        if (field.hasAttribute('required')) {
+            rules.push('required');
+        }
+        
+        if (field.type === 'email') {
+            rules.push('email');
+            
+            const { BLOCK_DISPOSABLE, DISPOSABLE_FORM_TYPES } = CONFIG.EMAIL;
+            if (BLOCK_DISPOSABLE && field.form && DISPOSABLE_FORM_TYPES.includes(field.form.dataset.formType)) {
+                rules.push('notDisposable');
+            }
+        }
+        
+        if (field.type === 'tel') {
+            rules.push('phone');
+        }
+        
+        const minLength = field.getAttribute('minlength');
+        if (minLength) {
+            rules.push({ type: 'minLength', value: parseInt(minLength) });
+        }
+        
+        const maxLength = field.getAttribute('maxlength');
+        if (maxLength) {
+            rules.push({ type: 'maxLength', value: parseInt(maxLength) });
+        }
+        
+        const pattern = field.getAttribute('pattern');
+        if (pattern) {
+            rules.push({ type: 'pattern', value: pattern });
+        }
+        
+        ['min', 'max'].forEach(attribute => {
+            const value = field.getAttribute(attribute);
+            if (value !== null && value !== '') {
+                rules.push({ type: attribute, value: parseFloat(value) });
+            }
+        });
+        
+        return rules;
+    }
+
+    /**
+     * Send phone numbers in E.164 (+14155550123) whatever way they were typed
+     */
+    normalizePhoneNumbers(form, data) {
+        form.querySelectorAll('input[type="tel"][name]').forEach(input => {
+            if (!data[input.name]) return;
+            
+            const phone = Utils.parsePhoneNumber(data[input.name], input.dataset.phoneCountry);
+            if (phone.isValid) {
+                data[input.name] = phone.e164;
+            }
+        });
+    }
+
+    getFormValues(form) {
+        const values = {};
+        if (!form) return values;
+        
+        new FormData(form).forEach((value, key) => {
+            values[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        return values;
+    }
+
+    /**
+     * Validate every field inside scope (the whole form by default, or e.g. one wizard step)
+     */
+    async validateForm(form, scope = form) {
+        const schema = this.getFormSchema(form);
+        const values = this.getFormValues(form);
+        const fields = Array.from(scope.querySelectorAll('input, textarea, select'))
+            .filter(field => field.name && field.type !== 'checkbox' && field.type !== 'hidden');
+        
+        const results = await Promise.all(fields.map(async field => {
+            const fieldSchema = this.getFieldSchema(field);
+            const validation = await this.validator.validateFieldAsync(field, fieldSchema, values);
+            return { field, fieldSchema, validation };
+        }));
+        
+        const crossFieldErrors = this.validator.validateCrossField(schema.crossField, values);
+        let isValid = true;
+        
+        results.forEach(({ field, fieldSchema, validation }) => {
+            const errors = validation.errors.concat(crossFieldErrors[field.name] || []);
+            if (validation.cancelled || errors.length > 0) {
+                isValid = false;
+            }
+            if (!validation.cancelled) {
+                this.validator.showFieldError(field, errors, { showAll: fieldSchema.showAllErrors });
+            }
+        });
+        
+        return isValid;
+    }
+
+    async handleFormSubmission(form, type) {
+        const submitButton = form.querySelector('button[type="submit"]');
+        
+        // Validate form
+        if (!(await this.validateForm(form))) {
+            this.notifications.error(i18n.t('form.fixErrors'));
+            return;
+        }
+        
+        // Bot defenses
+        const botCheck = this.botProtection.check(form);
+        if (!botCheck.ok) {
+            this.handleBlockedSubmission(form, type, botCheck);
+            return;
+        }
+        
+        // Show loading state
+        Utils.toggleLoading(submitButton, true);
+        
+        try {
+            // Collect form data
+            const formData = new FormData(form);
+            const data = Object.fromEntries(formData.entries());
+            
+            // Sanitize data
+            Object.keys(data).forEach(key => {
+                data[key] = Utils.sanitizeInput(data[key]);
+            });
+            this.normalizePhoneNumbers(form, data);
+            
+            // Add metadata
+            data.timestamp = new Date().toISOString();
+            data.userAgent = navigator.userAgent;
+            data.referrer = document.referrer;
+            data.formType = type;
+            // Attribution is optional: a submission must not depend on it starting
+            data.attribution = this.attribution ? this.attribution.getAttribution() : { firstTouch: null, lastTouch: null };
+            
+            const lead = this.scoreLead(type, data);
+            const endpoint = lead && lead.route ? CONFIG.ENDPOINTS[lead.route.ENDPOINT] : undefined;
+            
+            await this.botProtection.preparePayload(form, data);
+            
+            // Hold the submission for later if the visitor is offline
+            if (!navigator.onLine && await this.queueSubmission(type, data, { endpoint })) {
+                this.handleQueuedSubmission(form);
+                return;
+            }
+            
+            // Submit form
+            const result = await this.submissionClient.submit(type, data, { endpoint });
+            
+            // Reuse the key from the failed attempts so the replay can't duplicate them
+            if (this.isQueueableFailure(result) && await this.queueSubmission(type, data, { endpoint, idempotencyKey: result.idempotencyKey })) {
+                this.handleQueuedSubmission(form);
+                return;
+            }
+            
+            this.handleSubmissionResult(form, type, result, lead);
+            
+        } catch (error) {
+            console.error('Form submission error:', error);
+            this.notifications.error(i18n.t('form.genericError'), {
+                actions: [this.getRetryAction(form, type)]
+            });
+        } finally {
+            Utils.toggleLoading(submitButton, false);
+        }
+    }
+
+    /**
+     * Tag lead and contact payloads with a score and tier, and a priority
+     * flag when a routing rule asks for one
+     */
+    scoreLead(type, data) {
+        if (!this.leadScorer || !this.leadScorer.appliesTo(type)) return null;
+        
+        const lead = this.leadScorer.score(data);
+        lead.route = this.leadScorer.route(lead);
+        
+        data.leadScore = lead.score;
+        data.leadTier = lead.tier;
+        data.leadFactors = lead.factors;
+        if (lead.route && lead.route.PRIORITY) {
+            data.priority = true;
+        }
+        
+        return lead;
+    }
+
+    handleSubmissionResult(form, type, result, lead = null) {
+        switch (result.kind) {
+            case SUBMISSION_RESULT.SUCCESS:
+                this.handleSuccessfulSubmission(form, type, lead, this.getLeadId(result));
+                break;
+            case SUBMISSION_RESULT.VALIDATION:
+                this.showServerValidationErrors(form, result.fieldErrors);
+                this.notifications.error(i18n.t('form.correctHighlighted'));
+                break;
+            case SUBMISSION_RESULT.RATE_LIMITED:
+                this.notifications.error(
+                    result.retryAfter
+                        ? i18n.t('form.rateLimited', { count: result.retryAfter })
+                        : i18n.t('form.rateLimitedSoon')
+                );
+                break;
+            case SUBMISSION_RESULT.SERVER_ERROR:
+            case SUBMISSION_RESULT.NETWORK_ERROR:
+            case SUBMISSION_RESULT.TIMEOUT:
+                console.error('Form submission failed:', result);
+                this.notifications.error(i18n.t('form.serverUnavailable'), {
+                    actions: [this.getRetryAction(form, type)]
+                });
+                break;
+            default:
+                console.error('Form submission rejected:', result);
+                this.notifications.error(i18n.t('form.genericError'));
+        }
+    }
+
+    handleBlockedSubmission(form, type, botCheck) {
+        form.dispatchEvent(new CustomEvent('submissionblocked', {
+            bubbles: true,
+            detail: { reason: botCheck.reason, formType: type }
+        }));
+        
+        if (!botCheck.quiet) {
+            this.notifications.error(i18n.t('form.tooManyRecent'));
+            return;
+        }
+        
+        // Look like a normal success so bots get no signal to adapt to
+        this.resetForm(form);
+        this.showSuccessMessage(type);
+    }
+
+    getRetryAction(form, type) {
+        return {
+            label: i18n.t('notifications.retry'),
+            onClick: () => this.handleFormSubmission(form, type)
+        };
+    }
+
+    isQueueableFailure(result) {
+        return result.kind === SUBMISSION_RESULT.SERVER_ERROR ||
+               result.kind === SUBMISSION_RESULT.NETWORK_ERROR ||
+               result.kind === SUBMISSION_RESULT.TIMEOUT;
+    }
+
+    handleQueuedSubmission(form) {
+        // Only accepted submissions count toward the rate limit, not failed attempts
+        this.botProtection.recordSubmission();
+        this.draftManager.clear(form);
+        this.resetForm(form);
+        this.notifications.info(i18n.t('form.queued'));
+    }
+
+    showServerValidationErrors(form, fieldErrors = {}) {
+        let firstInvalidField = null;
+        
+        Object.keys(fieldErrors).forEach(name => {
+            const field = form.elements.namedItem(name);
+            if (!field || !field.closest || !field.closest('.form-group')) return;
+            
+            this.validator.showFieldError(field, fieldErrors[name]);
+            firstInvalidField = firstInvalidField || field;
+        });
+        
+        if (firstInvalidField) {
+            firstInvalidField.focus();
+        }
+    }
+
+    resetForm(form) {
+        form.reset();
+        
+        // Clear all validation states
+        const formGroups = form.querySelectorAll('.form-group');
+        formGroups.forEach(group => {
+            group.classList.remove('error', 'success');
+            const errorElement = group.querySelector('.form-error');
+            if (errorElement) {
+                errorElement.classList.remove('show');
+            }
+        });
+    }
+
+    /**
+     * The server's id for the stored lead, falling back to the idempotency
+     * key it was submitted under
+     */
+    getLeadId(result) {
+        return (result.data && result.data.id) || result.idempotencyKey || null;
+    }
+
+    handleSuccessfulSubmission(form, type, lead = null, leadId = null) {
+        this.botProtection.recordSubmission();
+        
+        // Reset form and drop its saved draft
+        this.draftManager.clear(form);
+        this.resetForm(form);
+        
+        this.showSuccessMessage(type, lead);
+        
+        // Analytics picks this up to track the conversion
+        events.emit('form:submitted', {
+            formType: type,
+            formId: form.id,
+            queued: false,
+            leadTier: lead ? lead.tier : null,
+            leadId: leadId
+        });
+    }
+
+    getSuccessMessage(type, lead = null) {
+        // Routed leads can get their own next step
+        const routeKey = lead && lead.route && lead.route.SUCCESS_KEY;
+        if (routeKey && i18n.has(routeKey)) {
+            return i18n.t(routeKey);
+        }
+        
+        const key = `form.success.${type}`;
+        return i18n.has(key) ? i18n.t(key) : i18n.t('form.success.default');
+    }
+
+    showSuccessMessage(type, lead = null) {
+        const message = this.getSuccessMessage(type, lead);
+        
+        // Show modal for main forms, notification for newsletter
+        if (type === 'newsletter') {
+            this.notifications.success(message);
+        } else {
+            this.showSuccessModal(message);
+        }
+    }
+
+    showSuccessModal(message) {
+        const modal = document.getElementById('successModal');
+        if (!modal) return;
+        
+        const messageElement = modal.querySelector('p');
+        if (messageElement) {
+            messageElement.textContent = message;
+        }
+        
+        this.modals.open(modal);
+    }
+}
+
+// =============================================================================
+// LEAD SCORING
+// =============================================================================
+
+/**
+ * Scores lead and contact submissions from their answers, the visitor's
+ * engagement and attribution, then picks a route from CONFIG.LEAD_SCORING.
+ */
+class LeadScorer {
+    constructor(attribution, getAnalytics) {
+        this.settings = CONFIG.LEAD_SCORING;
+        this.attribution = attribution;
+        // Analytics starts after the form handler, so it is looked up when scoring
+        this.getAnalytics = getAnalytics;
+    }
+
+    appliesTo(type) {
+        return this.settings.FORM_TYPES.includes(type);
+    }
+
+    score(data) {
+        const analytics = this.getAnalytics();
+        const engagement = analytics ? analytics.getEngagement() : { scrollDepth: 0, timeOnPage: 0 };
+        const { lastTouch } = this.attribution ? this.attribution.getAttribution() : { lastTouch: null };
+        const messageLength = (data.message || '').trim().length;
+        const messageTier = this.settings.MESSAGE_LENGTH.find(tier => messageLength >= tier.MIN);
+        
+        const factors = {
+            service: this.settings.SERVICE[data.service] || 0,
+            budget: this.settings.BUDGET[data.budget] || 0,
+            company: (data.company || '').trim() ? this.settings.COMPANY : 0,
+            message: messageTier ? messageTier.POINTS : 0,
+            scrollDepth: engagement.scrollDepth >= this.settings.SCROLL_DEPTH.MIN ? this.settings.SCROLL_DEPTH.POINTS : 0,
+            timeOnPage: engagement.timeOnPage >= this.settings.TIME_ON_PAGE.MIN ? this.settings.TIME_ON_PAGE.POINTS : 0,
+            campaign: lastTouch && lastTouch.utm_campaign ? this.settings.CAMPAIGN : 0
+        };
+        
+        const score = Object.values(factors).reduce((sum, points) => sum + points, 0);
+        const tier = this.settings.TIERS.find(candidate => score >= candidate.MIN);
+        
+        return {
+            score: score,
+            tier: tier ? tier.NAME : null,
+            factors: factors
+        };
+    }
+
+    /**
+     * Routing rule for a scored lead, or null to submit as usual
+     */
+    route(lead) {
+        return this.settings.ROUTING.find(rule => rule.TIERS.includes(lead.tier)) || null;
+    }
+}
+
+// =============================================================================
+// SPAM & BOT PROTECTION
+// =============================================================================
+
+const BOT_CHECK_REASON = Object.freeze({
+    HONEYPOT: 'honeypot',
+    TOO_FAST: 'too_fast',
+    RATE_LIMITED: 'rate_limited'
+});
+
+class BotProtection extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.BOT_PROTECTION;
+        this.renderedAt = new WeakMap();
+        this.proofs = new WeakMap();
+    }
+
+    protect(form) {
+        if (!form) return;
+        
+        this.addHoneypot(form);
+        this.renderedAt.set(form, Date.now());
+        
+        // Start the proof of work as soon as the visitor engages with the form
+        if (this.settings.PROOF_OF_WORK.ENABLED && 'Worker' in window) {
+            this.listen(form, 'focusin', () => this.prepareProof(form), { once: true });
+        }
+    }
+
+    addHoneypot(form) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-hp';
+        wrapper.setAttribute('aria-hidden', 'true');
+        this.onDestroy(() => wrapper.remove());
+        
+        const label = document.createElement('label');
+        label.textContent = 'Leave this field empty';
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = this.settings.HONEYPOT_NAME;
+        input.tabIndex = -1;
+        // Autofill ignores 'off' but never fills a new password; the data
+        // attributes opt out of the common password managers
+        input.autocomplete = 'new-password';
+        input.setAttribute('data-1p-ignore', '');
+        input.setAttribute('data-lpignore', 'true');
+        input.setAttribute('data-bwignore', '');
+        input.setAttribute('data-draft-exclude', '');
+        
+        label.appendChild(input);
+        wrapper.appendChild(label);
+        form.appendChild(wrapper);
+    }
+
+    /**
+     * Returns { ok: true } or { ok: false, reason, quiet }. Quiet rejections
+     * are bot signals: the caller should pretend the submission succeeded.
+     */
+    check(form) {
+        const honeypot = form.elements.namedItem(this.settings.HONEYPOT_NAME);
+        if (honeypot && honeypot.value !== '') {
+            return { ok: false, reason: BOT_CHECK_REASON.HONEYPOT, quiet: true };
+        }
+        
+        const renderedAt = this.renderedAt.get(form);
+        if (renderedAt && Date.now() - renderedAt < this.settings.MIN_FILL_TIME) {
+            return { ok: false, reason: BOT_CHECK_REASON.TOO_FAST, quiet: true };
+        }
+        
+        if (this.getRecentSubmissions().length >= this.settings.RATE_LIMIT_MAX) {
+            return { ok: false, reason: BOT_CHECK_REASON.RATE_LIMITED, quiet: false };
+        }
+        
+        return { ok: true };
+    }
+
+    getRecentSubmissions() {
+        const cutoff = Date.now() - this.settings.RATE_LIMIT_WINDOW;
+        
+        try {
+            const log = JSON.parse(localStorage.getItem(this.settings.STORAGE_KEY)) || [];
+            return log.filter(timestamp => timestamp > cutoff);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    recordSubmission() {
+        const log = this.getRecentSubmissions();
+        log.push(Date.now());
+        
+        try {
+            localStorage.setItem(this.settings.STORAGE_KEY, JSON.stringify(log));
+        } catch (error) {
+            console.error('Could not record submission:', error);
+        }
+    }
+
+    prepareProof(form) {
+        if (this.proofs.has(form)) return this.proofs.get(form);
+        
+        const { WORKER_URL, DIFFICULTY, TIMEOUT } = this.settings.PROOF_OF_WORK;
+        const challenge = `${form.dataset.formType || form.id}:${Date.now()}:${Utils.generateId()}`;
+        
+        const proof = new Promise(resolve => {
+            let worker;
+            try {
+                worker = new Worker(WORKER_URL);
+            } catch (error) {
+                resolve(null);
+                return;
+            }
+            
+            const timer = setTimeout(() => {
+                worker.terminate();
+                resolve(null);
+            }, TIMEOUT);
+            
+            worker.addEventListener('message', (e) => {
+                clearTimeout(timer);
+                worker.terminate();
+                resolve(e.data && !e.data.error ? e.data : null);
+            });
+            worker.addEventListener('error', () => {
+                clearTimeout(timer);
+                worker.terminate();
+                resolve(null);
+            });
+            
+            worker.postMessage({ challenge, difficulty: DIFFICULTY });
+        });
+        
+        this.proofs.set(form, proof);
+        return proof;
+    }
+
+    /**
+     * Strip the honeypot from the payload and attach the proof of work.
+     * Each proof is used for a single submission.
+     */
+    async preparePayload(form, data) {
+        delete data[this.settings.HONEYPOT_NAME];
+        
+        const renderedAt = this.renderedAt.get(form);
+        if (renderedAt) {
+            data.fillTime = Date.now() - renderedAt;
+        }
+        
+        if (this.settings.PROOF_OF_WORK.ENABLED && 'Worker' in window) {
+            const proof = await this.prepareProof(form);
+            this.proofs.delete(form);
+            if (proof) {
+                data.proofOfWork = proof;
+            }
+        }
+        
+        return data;
+    }
+}
+
+// =============================================================================
+// FORM DRAFTS
+// =============================================================================
+
+class FormDraftManager extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.DRAFTS;
+        
+        // Forms with an unanswered restore prompt; autosave waits for the answer
+        this.awaitingDecision = new WeakSet();
+    }
+
+    /**
+     * Start autosaving a form and offer to restore an earlier draft
+     */
+    watch(form) {
+        if (!form || !form.id) return;
+        
+        const save = Utils.debounce(() => this.save(form), this.settings.SAVE_DELAY);
+        this.listen(form, 'input', save);
+        this.listen(form, 'change', save);
+        
+        const draft = this.load(form);
+        if (draft) {
+            this.showRestorePrompt(form, draft);
+            this.onDestroy(() => this.removePrompt(form));
+        }
+    }
+
+    getStorageKey(form) {
+        return `${this.settings.STORAGE_PREFIX}${form.id}`;
+    }
+
+    isExcluded(field) {
+        return !field.name ||
+               field.hasAttribute('data-draft-exclude') ||
+               this.settings.EXCLUDED_FIELDS.includes(field.name) ||
+               this.settings.EXCLUDED_TYPES.includes(field.type) ||
+               /^cc-/.test(field.getAttribute('autocomplete') || '');
+    }
+
+    getDraftFields(form) {
+        return Array.from(form.querySelectorAll('input, textarea, select'))
+            .filter(field => !this.isExcluded(field));
+    }
+
+    save(form) {
+        if (this.awaitingDecision.has(form)) return;
+        
+        const values = {};
+        let hasContent = false;
+        
+        this.getDraftFields(form).forEach(field => {
+            if (field.type === 'checkbox') {
+                values[field.name] = field.checked;
+            } else {
+                values[field.name] = field.value;
+                hasContent = hasContent || field.value.trim() !== '';
+            }
+        });
+        
+        try {
+            if (!hasContent) {
+                localStorage.removeItem(this.getStorageKey(form));
+                return;
+            }
+            
+            const now = Date.now();
+            localStorage.setItem(this.getStorageKey(form), JSON.stringify({
+                savedAt: now,
+                expiresAt: now + this.settings.EXPIRY,
+                values: values
+            }));
+        } catch (error) {
+            console.error('Could not save form draft:', error);
+        }
+    }
+
+    load(form) {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.getStorageKey(form)));
+            if (!draft) return null;
+            
+            if (Date.now() > draft.expiresAt) {
+                this.clear(form);
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    clear(form) {
+        this.awaitingDecision.delete(form);
+        this.removePrompt(form);
+        
+        try {
+            localStorage.removeItem(this.getStorageKey(form));
+        } catch (error) {
+            console.error('Could not clear form draft:', error);
+        }
+    }
+
+    restore(form, draft) {
+        this.getDraftFields(form).forEach(field => {
+            if (!(field.name in draft.values)) return;
+            
+            if (field.type === 'checkbox') {
+                field.checked = Boolean(draft.values[field.name]);
+            } else {
+                field.value = draft.values[field.name];
+            }
+        });
+        
+        form.dispatchEvent(new CustomEvent('draftrestored', {
+            bubbles: true,
+            detail: { savedAt: draft.savedAt, age: Date.now() - draft.savedAt }
+        }));
+    }
+
+    showRestorePrompt(form, draft) {
+        this.awaitingDecision.add(form);
+        
+        const prompt = document.createElement('div');
+        prompt.className = 'draft-prompt';
+        prompt.setAttribute('role', 'status');
+        
+        const text = document.createElement('p');
+        text.textContent = i18n.t('drafts.prompt', { date: i18n.formatDate(new Date(draft.savedAt)) });
+        
+        const restoreButton = document.createElement('button');
+        restoreButton.type = 'button';
+        restoreButton.className = 'btn btn-primary btn-small';
+        restoreButton.textContent = i18n.t('drafts.restore');
+        restoreButton.addEventListener('click', () => {
+            this.awaitingDecision.delete(form);
+            this.removePrompt(form);
+            this.restore(form, draft);
+        });
+        
+        const discardButton = document.createElement('button');
+        discardButton.type = 'button';
+        discardButton.className = 'btn btn-secondary btn-small';
+        discardButton.textContent = i18n.t('drafts.discard');
+        discardButton.addEventListener('click', () => {
+            this.clear(form);
+            form.dispatchEvent(new CustomEvent('draftdiscarded', { bubbles: true }));
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'draft-prompt-actions';
+        actions.append(restoreButton, discardButton);
+        prompt.append(text, actions);
+        
+        form.prepend(prompt);
+        
+        // Deferred so modules initialized after FormHandler (Analytics) can listen
+        setTimeout(() => {
+            form.dispatchEvent(new CustomEvent('draftoffered', { bubbles: true }));
+        }, 0);
+    }
+
+    removePrompt(form) {
+        const prompt = form.querySelector('.draft-prompt');
+        if (prompt) {
+            prompt.remove();
+        }
+    }
+}
+
+// =============================================================================
+// INTERNATIONAL PHONE INPUT
+// =============================================================================
+
+/**
+ * Adds a country picker to tel inputs and formats the number as it is
+ * typed. The chosen country is kept in data-phone-country, which the phone
+ * validation rule and the E.164 normalization on submit read.
+ */
+class PhoneInput extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.PHONE;
+        this.inputs = [];
+    }
+
+    init() {
+        document.querySelectorAll('form input[type="tel"]').forEach(input => this.enhance(input));
+        
+        this.listen(document, 'localechange', () => {
+            this.inputs.forEach(({ select }) => this.renderOptions(select));
+        });
+    }
+
+    /**
+     * Guess the country from the browser's region (es-MX → MX), falling back
+     * to the page locale's default country
+     */
+    guessCountry() {
+        const region = (navigator.languages || [navigator.language])
+            .map(language => (language || '').split('-')[1])
+            .find(code => code && this.settings.COUNTRIES[code.toUpperCase()]);
+        
+        if (region) return region.toUpperCase();
+        return this.settings.LOCALE_COUNTRIES[i18n.locale] || this.settings.DEFAULT_COUNTRY;
+    }
+
+    enhance(input) {
+        const country = this.guessCountry();
+        input.dataset.phoneCountry = country;
+        input.setAttribute('dir', 'ltr');
+        input.autocomplete = input.autocomplete || 'tel-national';
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'phone-input';
+        input.parentNode.insertBefore(wrapper, input);
+        
+        // No name, so the picker itself is not part of the payload
+        const select = document.createElement('select');
+        select.className = 'phone-country';
+        select.setAttribute('data-i18n-attr', 'aria-label:phone.country');
+        select.setAttribute('aria-label', i18n.t('phone.country'));
+        this.renderOptions(select, country);
+        
+        wrapper.append(select, input);
+        this.inputs.push({ input, select });
+        
+        this.listen(select, 'change', () => {
+            input.dataset.phoneCountry = select.value;
+            input.value = this.format(input.value, select.value);
+            // Let real-time validation re-check against the new country
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        
+        this.listen(input, 'input', (e) => this.handleInput(input, e));
+        
+        // form.reset() restores the default option but not the dataset
+        this.listen(input.form, 'reset', () => {
+            setTimeout(() => {
+                input.dataset.phoneCountry = select.value;
+                delete input.dataset.phoneDigits;
+            });
+        });
+        
+        this.onDestroy(() => {
+            wrapper.parentNode.insertBefore(input, wrapper);
+            wrapper.remove();
+        });
+    }
+
+    renderOptions(select, selected = select.value) {
+        let displayNames = null;
+        try {
+            displayNames = new Intl.DisplayNames([i18n.locale], { type: 'region' });
+        } catch (error) {
+            // Fall back to country codes
+        }
+        
+        const options = Object.keys(this.settings.COUNTRIES).map(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${this.getFlag(code)} ${displayNames ? displayNames.of(code) : code} +${this.settings.COUNTRIES[code].DIAL_CODE}`;
+            option.defaultSelected = code === selected;
+            return option;
+        });
+        
+        select.replaceChildren(...options);
+        select.value = selected;
+    }
+
+    getFlag(code) {
+        return String.fromCodePoint(...Array.from(code).map(char => 0x1F1E6 + char.charCodeAt(0) - 65));
+    }
+
+    /**
+     * Reformat on every edit, keeping the caret after the same digit it was
+     * after before formatting
+     */
+    handleInput(input, e) {
+        const value = input.value;
+        const caret = input.selectionStart === null ? value.length : input.selectionStart;
+        let digits = value.replace(/\D/g, '');
+        let digitsBeforeCaret = value.slice(0, caret).replace(/\D/g, '').length;
+        
+        // Backspace over a separator would otherwise be undone by reformatting
+        if (e.inputType === 'deleteContentBackward' && digits === input.dataset.phoneDigits && digitsBeforeCaret > 0) {
+            digits = digits.slice(0, digitsBeforeCaret - 1) + digits.slice(digitsBeforeCaret);
+            digitsBeforeCaret--;
+        }
+        
+        // International input is left as typed; parsing handles it on validation
+        if (this.isInternational(value)) {
+            input.dataset.phoneDigits = digits;
+            return;
+        }
+        
+        const formatted = this.format(digits, input.dataset.phoneCountry);
+        input.dataset.phoneDigits = digits;
+        if (formatted === value) return;
+        
+        input.value = formatted;
+        
+        let position = 0;
+        let seen = 0;
+        while (position < formatted.length && seen < digitsBeforeCaret) {
+            if (/\d/.test(formatted[position])) seen++;
+            position++;
+        }
+        input.setSelectionRange(position, position);
+    }
+
+    format(value, countryCode) {
+        if (this.isInternational(value)) return value;
+        return Utils.formatPhoneNumber(value, countryCode);
+    }
+
+    /**
+     * A leading 00 is the international prefix, same as + (see Utils.parsePhoneNumber)
+     */
+    isInternational(value) {
+        const trimmed = value.trim();
+        return trimmed.startsWith('+') || trimmed.startsWith('00');
+    }
+}
+
+// =============================================================================
+// EMAIL SUGGESTIONS
+// =============================================================================
+
+/**
+ * Offers a one-click "Did you mean ...?" fix when an email's domain looks
+ * like a typo of a common one (see Utils.suggestEmail)
+ */
+class EmailSuggestions extends AppModule {
+    constructor() {
+        super();
+        this.hints = new Map();
+    }
+
+    init() {
+        document.querySelectorAll('form input[type="email"]').forEach(input => {
+            this.listen(input, 'blur', () => this.update(input));
+            
+            // Drop a stale hint as soon as the address changes
+            this.listen(input, 'input', () => {
+                const hint = this.hints.get(input);
+                if (hint && hint.dataset.suggestion !== Utils.suggestEmail(input.value)) {
+                    this.remove(input);
+                }
+            });
+            
+            this.listen(input.form, 'reset', () => this.remove(input));
+        });
+        
+        this.listen(document, 'localechange', () => {
+            Array.from(this.hints).forEach(([input, hint]) => {
+                this.remove(input);
+                this.render(input, hint.dataset.suggestion);
+            });
+        });
+        
+        this.onDestroy(() => {
+            Array.from(this.hints.keys()).forEach(input => this.remove(input));
+        });
+    }
+
+    update(input) {
+        const suggestion = Utils.suggestEmail(input.value);
+        if (!suggestion) {
+            this.remove(input);
+            return;
+        }
+        
+        const existing = this.hints.get(input);
+        if (existing && existing.dataset.suggestion === suggestion) return;
+        
+        this.remove(input);
+        this.render(input, suggestion);
+    }
+
+    render(input, suggestion) {
+        const hint = document.createElement('p');
+        hint.className = 'email-suggestion';
+        hint.setAttribute('role', 'status');
+        hint.dataset.suggestion = suggestion;
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'email-suggestion-accept';
+        button.textContent = suggestion;
+        button.setAttribute('aria-label', i18n.t('emailSuggestion.accept', { email: suggestion }));
+        button.addEventListener('click', () => this.accept(input, suggestion));
+        
+        // Translations place the suggested address wherever {email} sits
+        const [before, after = ''] = i18n.t('emailSuggestion.prompt').split('{email}');
+        hint.append(before, button, after);
+        
+        input.insertAdjacentElement('afterend', hint);
+        this.hints.set(input, hint);
+    }
+
+    accept(input, suggestion) {
+        input.value = suggestion;
+        this.remove(input);
+        input.focus();
+        
+        // Re-run real-time validation and draft autosave for the corrected value
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    remove(input) {
+        const hint = this.hints.get(input);
+        if (hint) {
+            hint.remove();
+            this.hints.delete(input);
+        }
+    }
+}
+
+// =============================================================================
+// PROJECT BRIEF WIZARD
+// =============================================================================
+
+class FormWizard extends AppModule {
+    constructor(form, formHandler, type) {
+        super();
+        this.form = form;
+        this.formHandler = formHandler;
+        this.type = type;
+        this.steps = Array.from(form.querySelectorAll('[data-step]'));
+        this.indicators = Array.from(form.querySelectorAll('[data-step-indicator]'));
+        this.status = form.querySelector('.wizard-status');
+        this.backButton = form.querySelector('[data-wizard-back]');
+        this.nextButton = form.querySelector('[data-wizard-next]');
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.currentIndex = 0;
+        
+        this.init();
+    }
+
+    init() {
+        if (this.steps.length === 0) return;
+        
+        this.setupControls();
+        this.setupHistory();
+        
+        this.listen(document, 'localechange', () => this.updateStatus());
+        
+        // Honour a deep link to a step, but never past the first incomplete one
+        const requested = this.getStepIndexFromHash();
+        this.showStep(requested === -1 ? 0 : Math.min(requested, this.getFirstIncompleteIndex()), { focus: false });
+    }
+
+    setupControls() {
+        this.listen(this.nextButton, 'click', () => this.next());
+        this.listen(this.backButton, 'click', () => this.back());
+        
+        this.listen(this.form, 'submit', async (e) => {
+            e.preventDefault();
+            
+            if (this.isLastStep()) {
+                await this.submit();
+            } else {
+                await this.next();
+            }
+        });
+        
+        // Enter advances through the steps; it still inserts newlines in textareas
+        this.listen(this.form, 'keydown', (e) => {
+            const target = e.target;
+            if (e.key !== 'Enter' || this.isLastStep()) return;
+            if (target.tagName === 'TEXTAREA' || target.tagName === 'BUTTON') return;
+            
+            e.preventDefault();
+            this.next();
+        });
+        
+        this.listen(this.form, 'reset', () => {
+            this.showStep(0, { focus: false });
+            if (this.getStepIndexFromHash() !== -1) {
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+        });
+    }
+
+    setupHistory() {
+        this.listen(window, 'popstate', (e) => {
+            const index = this.getStepIndexFromHash();
+            
+            // Section links keep the step they were followed from in their state;
+            // entries that say nothing about the wizard leave it where it is
+            const state = e.state || {};
+            if (index === -1 && !Number.isInteger(state.wizardStep)) return;
+            
+            const requested = index !== -1 ? index : state.wizardStep;
+            const target = Math.min(requested, this.getFirstIncompleteIndex());
+            
+            // Only take focus when the URL is about the wizard, not another section
+            if (target !== this.currentIndex || index !== -1) {
+                this.showStep(target, { focus: index !== -1 });
+            }
+        });
+    }
+
+    getStepHash(index) {
+        return `#${CONFIG.WIZARD.HASH_PREFIX}${this.steps[index].dataset.step}`;
+    }
+
+    getStepIndexFromHash() {
+        return this.steps.findIndex((step, index) => this.getStepHash(index) === window.location.hash);
+    }
+
+    isLastStep() {
+        return this.currentIndex === this.steps.length - 1;
+    }
+
+    /**
+     * Index of the first step whose fields don't pass the sync rules,
+     * checked silently so deep links don't flash errors
+     */
+    getFirstIncompleteIndex() {
+        const validator = this.formHandler.validator;
+        const values = this.formHandler.getFormValues(this.form);
+        
+        const index = this.steps.findIndex(step => {
+            const fields = step.querySelectorAll('input, textarea, select');
+            return Array.from(fields).some(field => {
+                const schema = this.formHandler.getFieldSchema(field);
+                return !validator.validateField(field, schema, values).isValid;
+            });
+        });
+        
+        return index === -1 ? this.steps.length - 1 : index;
+    }
+
+    async validateStep(index) {
+        return this.formHandler.validateForm(this.form, this.steps[index]);
+    }
+
+    async next() {
+        if (this.isLastStep()) return;
+        if (!(await this.validateStep(this.currentIndex))) return;
+        
+        this.showStep(this.currentIndex + 1);
+        history.pushState({ wizardStep: this.currentIndex }, '', this.getStepHash(this.currentIndex));
+    }
+
+    back() {
+        if (this.currentIndex === 0) return;
+        
+        // Step back through our own history entry so the browser Back button stays in sync
+        if (history.state && history.state.wizardStep === this.currentIndex) {
+            history.back();
+            return;
+        }
+        
+        this.showStep(this.currentIndex - 1);
+        history.replaceState({ wizardStep: this.currentIndex }, '', this.getStepHash(this.currentIndex));
+    }
+
+    async submit() {
+        for (let index = 0; index < this.steps.length; index++) {
+            if (!(await this.validateStep(index))) {
+                this.showStep(index);
+                return;
+            }
+        }
+        
+        await this.formHandler.handleFormSubmission(this.form, this.type);
+    }
+
+    showStep(index, options = {}) {
+        const { focus = true } = options;
+        this.currentIndex = index;
+        
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== index;
+        });
+        
+        this.indicators.forEach((indicator, i) => {
+            indicator.classList.toggle('complete', i < index);
+            if (i === index) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+        
+        this.updateStatus();
+        
+        this.backButton.hidden = index === 0;
+        this.nextButton.hidden = this.isLastStep();
+        this.submitButton.hidden = !this.isLastStep();
+        
+        if (focus) {
+            const firstField = this.steps[index].querySelector('input, textarea, select');
+            if (firstField) {
+                firstField.focus({ preventScroll: true });
+            }
+            this.form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    updateStatus() {
+        if (!this.status) return;
+        
+        const step = this.steps[this.currentIndex];
+        const titleKey = `wizard.steps.${step.dataset.step}`;
+        
+        this.status.textContent = i18n.t('wizard.status', {
+            current: this.currentIndex + 1,
+            total: this.steps.length,
+            title: i18n.has(titleKey) ? i18n.t(titleKey) : step.dataset.stepTitle || ''
+        });
+    }
+}
+
+// =============================================================================
+// DISCOVERY CALL BOOKING
+// =============================================================================
+
+/**
+ * Offers a discovery call after a lead or contact submission: lists open
+ * slots in the visitor's time zone, books the chosen one against the lead
+ * and hands out an .ics invite.
+ */
+class BookingScheduler extends AppModule {
+    constructor(modalManager) {
+        super();
+        this.modals = modalManager;
+        this.settings = CONFIG.BOOKING;
+        this.submissionClient = new SubmissionClient();
+        this.modal = document.getElementById('bookingModal');
+        this.startButton = document.querySelector('[data-booking-start]');
+        this.leadId = null;
+        this.slots = null;
+        this.selectedSlot = null;
+        this.booking = null;
+    }
+
+    init() {
+        if (!this.modal || !this.startButton) return;
+        
+        this.slotList = this.modal.querySelector('[data-booking-slots]');
+        this.status = this.modal.querySelector('[data-booking-status]');
+        this.confirmButton = this.modal.querySelector('[data-booking-confirm]');
+        this.confirmation = this.modal.querySelector('[data-booking-confirmation]');
+        
+        this.subscribe('form:submitted', ({ formType, leadId, queued }) => {
+            // Queued submissions have no lead on the server to book against yet
+            const offer = !queued && Boolean(leadId) && this.settings.FORM_TYPES.includes(formType);
+            this.leadId = offer ? leadId : null;
+            this.startButton.hidden = !offer;
+        });
+        
+        this.listen(this.startButton, 'click', () => this.open());
+        this.listen(this.confirmButton, 'click', () => this.confirm());
+        this.listen(this.modal.querySelector('[data-booking-download]'), 'click', () => this.downloadInvite());
+        
+        this.listen(this.slotList, 'click', (e) => {
+            const button = e.target.closest('[data-slot-id]');
+            if (button) {
+                this.selectSlot(button.dataset.slotId);
+            }
+        });
+        
+        // Slot times and day headings follow the page language
+        this.listen(document, 'localechange', () => {
+            if (this.slots && !this.booking) {
+                this.renderSlots();
+            }
+        });
+    }
+
+    async open() {
+        this.reset();
+        this.modals.open(this.modal, { trigger: this.startButton });
+        events.emit('booking:started', { leadId: this.leadId });
+        
+        this.setStatus(i18n.t('booking.loading'));
+        
+        try {
+            this.slots = await this.loadSlots();
+        } catch (error) {
+            console.error('Could not load availability:', error);
+            this.setStatus(i18n.t('booking.loadError'));
+            return;
+        }
+        
+        this.renderSlots();
+    }
+
+    reset() {
+        this.selectedSlot = null;
+        this.booking = null;
+        this.slotList.hidden = false;
+        this.slotList.replaceChildren();
+        this.confirmation.hidden = true;
+        this.confirmButton.hidden = false;
+        this.confirmButton.disabled = true;
+    }
+
+    /**
+     * Open slots from the availability endpoint, in time order, leaving at
+     * least MIN_NOTICE
+     */
+    async loadSlots() {
+        const response = await fetch(CONFIG.ENDPOINTS.AVAILABILITY, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const slots = await response.json();
+        const earliest = Date.now() + this.settings.MIN_NOTICE;
+        
+        return slots
+            .map(slot => ({ id: slot.id, start: new Date(slot.start), end: new Date(slot.end) }))
+            .filter(slot => !isNaN(slot.start) && !isNaN(slot.end) && slot.start.getTime() >= earliest)
+            .sort((a, b) => a.start - b.start)
+            .slice(0, this.settings.MAX_SLOTS);
+    }
+
+    renderSlots() {
+        if (this.slots.length === 0) {
+            this.setStatus(i18n.t('booking.empty'));
+            return;
+        }
+        
+        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.setStatus(i18n.t('booking.timezone', { zone: timeZone }));
+        
+        // Group by calendar day in the visitor's time zone
+        const days = new Map();
+        this.slots.forEach(slot => {
+            const day = i18n.formatDate(slot.start, { weekday: 'long', month: 'long', day: 'numeric' });
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push(slot);
+        });
+        
+        const groups = Array.from(days, ([day, slots]) => {
+            const group = document.createElement('div');
+            group.className = 'booking-day';
+            group.setAttribute('role', 'group');
+            
+            const heading = document.createElement('h4');
+            heading.id = `booking-day-${Utils.generateId()}`;
+            heading.textContent = day;
+            group.setAttribute('aria-labelledby', heading.id);
+            group.appendChild(heading);
+            
+            slots.forEach(slot => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'booking-slot';
+                button.dataset.slotId = slot.id;
+                button.textContent = i18n.formatDate(slot.start, { timeStyle: 'short' });
+                button.setAttribute('aria-pressed', String(this.selectedSlot === slot));
+                group.appendChild(button);
+            });
+            
+            return group;
+        });
+        
+        this.slotList.replaceChildren(...groups);
+    }
+
+    selectSlot(id) {
+        this.selectedSlot = this.slots.find(slot => slot.id === id) || null;
+        
+        this.slotList.querySelectorAll('[data-slot-id]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.slotId === id));
+        });
+        this.confirmButton.disabled = !this.selectedSlot;
+    }
+
+    async confirm() {
+        const slot = this.selectedSlot;
+        if (!slot || !this.leadId) return;
+        
+        Utils.toggleLoading(this.confirmButton, true);
+        
+        const result = await this.submissionClient.submit('booking', {
+            leadId: this.leadId,
+            slotId: slot.id,
+            start: slot.start.toISOString(),
+            end: slot.end.toISOString(),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+        
+        Utils.toggleLoading(this.confirmButton, false);
+        
+        if (!result.ok) {
+            console.error('Booking failed:', result);
+            // The slot was taken in the meantime
+            this.setStatus(i18n.t(result.status === 409 ? 'booking.slotTaken' : 'booking.failed'));
+            return;
+        }
+        
+        this.booking = {
+            id: (result.data && result.data.id) || result.idempotencyKey,
+            leadId: this.leadId,
+            slot: slot
+        };
+        this.showConfirmation();
+        
+        // Analytics picks this up to track the conversion
+        events.emit('booking:confirmed', { leadId: this.leadId, slotId: slot.id });
+    }
+
+    showConfirmation() {
+        this.slotList.hidden = true;
+        this.confirmButton.hidden = true;
+        this.confirmation.hidden = false;
+        this.setStatus(i18n.t('booking.confirmed', { date: i18n.formatDate(this.booking.slot.start, { dateStyle: 'full', timeStyle: 'short' }) }));
+        this.startButton.hidden = true;
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Build an RFC 5545 calendar invite for the confirmed booking
+     */
+    createInvite(booking) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//CreativeFlow//Discovery Call//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${booking.id}@${this.settings.INVITE_DOMAIN}`,
+            `DTSTAMP:${this.formatIcsDate(new Date())}`,
+            `DTSTART:${this.formatIcsDate(booking.slot.start)}`,
+            `DTEND:${this.formatIcsDate(booking.slot.end)}`,
+            `SUMMARY:${this.escapeIcsText(i18n.t('booking.eventTitle'))}`,
+            `DESCRIPTION:${this.escapeIcsText(i18n.t('booking.eventDescription'))}`,
+            `ORGANIZER;CN=CreativeFlow:mailto:${this.settings.ORGANIZER_EMAIL}`,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+        
+        return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    formatIcsDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeIcsText(text) {
+        return text
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Lines longer than 75 UTF-8 octets continue on the next line after a
+     * space, without splitting a character
+     */
+    foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+        
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines spend one octet on the leading space
+            if (octets + size > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+        
+        return parts.join('\r\n ');
+    }
+
+    downloadInvite() {
+        if (!this.booking) return;
+        
+        const blob = new Blob([this.createInvite(this.booking)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.settings.INVITE_FILENAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// =============================================================================
+// CONTENT RENDERING
+// =============================================================================
+
+/**
+ * Renders the services and testimonials grids from JSON through the
+ * <template> elements in index.html. The static cards stay in place unless
+ * the content loads and renders cleanly. Text fields may hold one string per
+ * locale (see I18n.pick); the grids re-render when the language changes.
+ */
+class ContentRenderer extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.CONTENT;
+        this.sections = {
+            services: { source: this.settings.SERVICES, renderItem: item => this.renderService(item) },
+            testimonials: { source: this.settings.TESTIMONIALS, renderItem: item => this.renderTestimonial(item) }
+        };
+        this.items = {};
+    }
+
+    init() {
+        this.ready = Promise.all(Object.keys(this.sections).map(name => this.renderSection(name)));
+        
+        this.listen(document, 'localechange', () => {
+            Object.keys(this.items).forEach(name => this.render(name, { relocalized: true }));
+        });
+    }
+
+    async loadItems(source) {
+        const inline = document.getElementById(source.INLINE_ID);
+        if (inline) {
+            return JSON.parse(inline.textContent);
+        }
+        
+        const response = await fetch(source.URL, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async renderSection(name) {
+        if (!document.querySelector(`[data-content="${name}"]`)) return;
+        
+        try {
+            const items = await this.loadItems(this.sections[name].source);
+            if (!Array.isArray(items) || items.length === 0) return;
+            
+            this.items[name] = items;
+            this.render(name);
+        } catch (error) {
+            console.error(`Could not render ${name} content:`, error);
+        }
+    }
+
+    render(name, options = {}) {
+        const container = document.querySelector(`[data-content="${name}"]`);
+        
+        try {
+            const elements = this.items[name].map(this.sections[name].renderItem);
+            container.replaceChildren(...elements);
+            i18n.translatePage(container);
+            
+            events.emit('content:rendered', { section: name, elements, relocalized: Boolean(options.relocalized) });
+        } catch (error) {
+            console.error(`Could not render ${name} content:`, error);
+        }
+    }
+
+    cloneTemplate(id) {
+        const template = document.getElementById(id);
+        if (!template) {
+            throw new Error(`Template not found: ${id}`);
+        }
+        return template.content.firstElementChild.cloneNode(true);
+    }
+
+    getField(element, name) {
+        return element.querySelector(`[data-field="${name}"]`);
+    }
+
+    renderService(service) {
+        const card = this.cloneTemplate('serviceCardTemplate');
+        card.dataset.service = service.id;
+        
+        this.getField(card, 'icon').setAttribute('href', `#service-icon-${service.icon || service.id}`);
+        this.getField(card, 'title').textContent = i18n.pick(service.title);
+        this.getField(card, 'description').textContent = i18n.pick(service.description);
+        
+        const features = this.getField(card, 'features');
+        (service.features || []).forEach(feature => {
+            const item = document.createElement('li');
+            item.textContent = i18n.pick(feature);
+            features.appendChild(item);
+        });
+        
+        return card;
+    }
+
+    renderTestimonial(testimonial) {
+        const card = this.cloneTemplate('testimonialCardTemplate');
+        const maxRating = this.settings.MAX_RATING;
+        const rating = Math.max(0, Math.min(maxRating, Math.round(testimonial.rating || maxRating)));
+        
+        const stars = this.getField(card, 'rating');
+        stars.setAttribute('role', 'img');
+        stars.setAttribute('aria-label', i18n.t('testimonials.rating', { rating, max: maxRating }));
+        for (let i = 0; i < rating; i++) {
+            const star = document.createElement('span');
+            star.className = 'star';
+            star.setAttribute('aria-hidden', 'true');
+            star.textContent = '★';
+            stars.appendChild(star);
+        }
+        
+        this.getField(card, 'quote').textContent = `"${i18n.pick(testimonial.quote)}"`;
+        this.getField(card, 'name').textContent = testimonial.name;
+        this.getField(card, 'role').textContent = i18n.pick(testimonial.role) || '';
+        
+        const avatar = this.getField(card, 'avatar');
+        avatar.src = testimonial.avatar || this.createInitialsAvatar(testimonial.name, testimonial.avatarColor);
+        avatar.alt = testimonial.name;
+        
+        const companyIcon = this.getField(card, 'companyIcon');
+        if (testimonial.companyIcon) {
+            companyIcon.textContent = testimonial.companyIcon;
+        } else {
+            companyIcon.remove();
+        }
+        
+        return card;
+    }
+
+    getInitials(name) {
+        const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return '';
+        
+        const first = words[0].charAt(0);
+        const last = words.length > 1 ? words[words.length - 1].charAt(0) : '';
+        return (first + last).toUpperCase();
+    }
+
+    /**
+     * Same circle-with-initials SVG the hand-written cards used, as a data URI.
+     * The color comes from the entry or is picked from the palette by name.
+     */
+    createInitialsAvatar(name, color) {
+        const palette = this.settings.AVATAR_COLORS;
+        const hash = Array.from(String(name || '')).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        const fill = /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : palette[hash % palette.length];
+        const initials = Utils.sanitizeInput(this.getInitials(name));
+        
+        const svg = `<svg xmlns='http://www.w3.org/2000/svg' width='50' height='50' viewBox='0 0 50 50'>` +
+            `<circle cx='25' cy='25' r='25' fill='${fill}'/>` +
+            `<text x='25' y='32' text-anchor='middle' fill='white' font-family='Arial' font-size='18' font-weight='bold'>${initials}</text>` +
+            `</svg>`;
+        
+        return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+    }
+}
+
+// =============================================================================
+// TESTIMONIALS CAROUSEL
+// =============================================================================
+
+/**
+ * Turns .testimonials-grid into a one-card-at-a-time carousel following the
+ * WAI-ARIA carousel pattern. Without JS the grid shows every card.
+ *
+ * Autoplay stops while the carousel is hovered, focused, off screen or the
+ * tab is hidden, and stays off when AccessibilityManager reports reduced
+ * motion unless the visitor presses play themselves.
+ */
+class TestimonialsCarousel extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.CAROUSEL;
+        this.track = document.querySelector('.testimonials-grid');
+        this.slides = [];
+        this.dots = [];
+        this.index = 0;
+        this.timer = null;
+        this.userPaused = false;
+        this.pauseReasons = new Set();
+        this.seen = new Set();
+        this.isVisible = false;
+    }
+
+    init() {
+        if (!this.track) return;
+        
+        this.build();
+        this.refresh();
+        this.setupControls();
+        this.setupSwipe();
+        this.setupAutoplay();
+        
+        // Rendered testimonials replace the static cards inside the same track;
+        // the same cards in another language don't count as new impressions
+        this.subscribe('content:rendered', ({ section, relocalized }) => {
+            if (section === 'testimonials') {
+                this.refresh({ resetImpressions: !relocalized });
+            }
+        });
+        this.listen(document, 'localechange', () => this.updateLabels());
+        
+        this.onDestroy(() => {
+            clearInterval(this.timer);
+            this.unbuild();
+        });
+    }
+
+    build() {
+        this.root = document.createElement('div');
+        this.root.className = 'carousel';
+        this.root.setAttribute('role', 'region');
+        
+        const viewport = document.createElement('div');
+        viewport.className = 'carousel-viewport';
+        
+        this.track.classList.add('carousel-track');
+        this.track.before(this.root);
+        viewport.appendChild(this.track);
+        
+        this.controls = document.createElement('div');
+        this.controls.className = 'carousel-controls';
+        
+        this.prevButton = this.createButton('carousel-button carousel-prev', '‹');
+        this.nextButton = this.createButton('carousel-button carousel-next', '›');
+        this.toggleButton = this.createButton('carousel-button carousel-toggle', '');
+        
+        this.dotList = document.createElement('div');
+        this.dotList.className = 'carousel-dots';
+        this.dotList.setAttribute('role', 'group');
+        
+        this.controls.append(this.prevButton, this.dotList, this.nextButton, this.toggleButton);
+        this.root.append(viewport, this.controls);
+    }
+
+    unbuild() {
+        this.root.before(this.track);
+        this.root.remove();
+        
+        this.track.classList.remove('carousel-track');
+        this.track.style.transform = '';
+        this.track.removeAttribute('aria-live');
+        this.slides.forEach(slide => {
+            ['role', 'aria-roledescription', 'aria-label', 'aria-hidden'].forEach(name => slide.removeAttribute(name));
+            slide.inert = false;
+        });
+    }
+
+    createButton(className, icon) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        
+        const glyph = document.createElement('span');
+        glyph.className = 'carousel-button-icon';
+        glyph.setAttribute('aria-hidden', 'true');
+        glyph.textContent = icon;
+        button.appendChild(glyph);
+        
+        return button;
+    }
+
+    /**
+     * Re-read the slides, e.g. after the content layer rendered new cards
+     */
+    refresh(options = {}) {
+        const { resetImpressions = true } = options;
+        
+        this.slides = Array.from(this.track.children);
+        if (resetImpressions) {
+            this.seen.clear();
+        }
+        
+        this.dotList.replaceChildren();
+        this.dots = this.slides.map((slide, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'carousel-dot';
+            dot.addEventListener('click', () => this.goTo(index, { user: true }));
+            this.dotList.appendChild(dot);
+            return dot;
+        });
+        
+        this.controls.hidden = this.slides.length <= 1;
+        this.updateLabels();
+        this.goTo(Math.min(this.index, Math.max(this.slides.length - 1, 0)));
+        this.updateTimer();
+    }
+
+    updateLabels() {
+        const total = this.slides.length;
+        
+        this.root.setAttribute('aria-roledescription', i18n.t('carousel.roleCarousel'));
+        this.root.setAttribute('aria-label', i18n.t('carousel.label'));
+        this.dotList.setAttribute('aria-label', i18n.t('carousel.dots'));
+        this.prevButton.setAttribute('aria-label', i18n.t('carousel.previous'));
+        this.nextButton.setAttribute('aria-label', i18n.t('carousel.next'));
+        
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', i18n.t('carousel.roleSlide'));
+            slide.setAttribute('aria-label', i18n.t('carousel.slideLabel', { current: index + 1, total }));
+        });
+        this.dots.forEach((dot, index) => {
+            dot.setAttribute('aria-label', i18n.t('carousel.goTo', { number: index + 1 }));
+        });
+        
+        this.updateToggle();
+    }
+
+    setupControls() {
+        this.listen(this.prevButton, 'click', () => this.goTo(this.index - 1, { user: true }));
+        this.listen(this.nextButton, 'click', () => this.goTo(this.index + 1, { user: true }));
+        this.listen(this.toggleButton, 'click', () => {
+            this.userPaused = !this.userPaused;
+            
+            // An explicit play overrides the reduced motion default
+            if (!this.userPaused) {
+                this.pauseReasons.delete('motion');
+            }
+            this.updateTimer();
+        });
+        
+        this.listen(this.root, 'keydown', (e) => {
+            const rtl = document.documentElement.dir === 'rtl';
+            const keys = {
+                ArrowLeft: rtl ? 1 : -1,
+                ArrowRight: rtl ? -1 : 1
+            };
+            
+            if (e.key in keys) {
+                this.goTo(this.index + keys[e.key], { user: true });
+            } else if (e.key === 'Home') {
+                this.goTo(0, { user: true });
+            } else if (e.key === 'End') {
+                this.goTo(this.slides.length - 1, { user: true });
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    setupSwipe() {
+        let start = null;
+        
+        this.listen(this.track, 'touchstart', (e) => {
+            const touch = e.touches[0];
+            start = { x: touch.clientX, y: touch.clientY };
+        }, { passive: true });
+        
+        this.listen(this.track, 'touchend', (e) => {
+            if (!start) return;
+            
+            const touch = e.changedTouches[0];
+            const deltaX = touch.clientX - start.x;
+            const deltaY = touch.clientY - start.y;
+            start = null;
+            
+            // Ignore short swipes and vertical scrolling
+            if (Math.abs(deltaX) < this.settings.SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+            
+            const rtl = document.documentElement.dir === 'rtl';
+            const forward = rtl ? deltaX > 0 : deltaX < 0;
+            this.goTo(this.index + (forward ? 1 : -1), { user: true });
+        }, { passive: true });
+    }
+
+    setupAutoplay() {
+        this.listen(this.root, 'mouseenter', () => this.pause('hover'));
+        this.listen(this.root, 'mouseleave', () => this.resume('hover'));
+        this.listen(this.root, 'focusin', () => this.pause('focus'));
+        this.listen(this.root, 'focusout', (e) => {
+            if (!this.root.contains(e.relatedTarget)) {
+                this.resume('focus');
+            }
+        });
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        });
+        
+        if (document.documentElement.classList.contains('reduce-motion')) {
+            this.pause('motion');
+        }
+        this.subscribe('accessibility:reducedmotion', ({ reduced }) => {
+            if (reduced) {
+                this.pause('motion');
+            } else {
+                this.resume('motion');
+            }
+        });
+        
+        // Only rotate, and only count impressions, while the carousel is on screen
+        if ('IntersectionObserver' in window) {
+            this.pause('offscreen');
+            
+            const observer = new IntersectionObserver(([entry]) => {
+                this.isVisible = entry.isIntersecting;
+                if (this.isVisible) {
+                    this.resume('offscreen');
+                    this.reportImpression();
+                } else {
+                    this.pause('offscreen');
+                }
+            }, { threshold: 0.5 });
+            
+            observer.observe(this.root);
+            this.onDestroy(() => observer.disconnect());
+        } else {
+            // Assume it's on screen, but only once the other modules (analytics
+            // among them) have started and can hear the first impression
+            const timer = setTimeout(() => {
+                this.isVisible = true;
+                this.reportImpression();
+            }, 0);
+            this.onDestroy(() => clearTimeout(timer));
+        }
+    }
+
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        this.updateTimer();
+    }
+
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        this.updateTimer();
+    }
+
+    isPlaying() {
+        return this.settings.AUTOPLAY_INTERVAL > 0 &&
+               !this.userPaused &&
+               this.pauseReasons.size === 0 &&
+               this.slides.length > 1;
+    }
+
+    updateTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        if (this.isPlaying()) {
+            this.timer = setInterval(() => this.goTo(this.index + 1), this.settings.AUTOPLAY_INTERVAL);
+        }
+        
+        // Announce slide changes only when the visitor is driving them
+        this.track.setAttribute('aria-live', this.isPlaying() ? 'off' : 'polite');
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        const stopped = this.userPaused || this.pauseReasons.has('motion');
+        
+        this.toggleButton.hidden = !(this.settings.AUTOPLAY_INTERVAL > 0);
+        this.toggleButton.setAttribute('aria-label', i18n.t(stopped ? 'carousel.play' : 'carousel.pause'));
+        this.toggleButton.querySelector('.carousel-button-icon').textContent = stopped ? '▶' : '❚❚';
+    }
+
+    goTo(index, options = {}) {
+        const { user = false } = options;
+        const total = this.slides.length;
+        if (total === 0) return;
+        
+        this.index = (index + total) % total;
+        
+        // Slides run right to left in RTL, so the track moves the other way
+        const direction = document.documentElement.dir === 'rtl' ? 1 : -1;
+        this.track.style.transform = `translateX(${direction * this.index * 100}%)`;
+        
+        this.slides.forEach((slide, i) => {
+            const active = i === this.index;
+            slide.setAttribute('aria-hidden', String(!active));
+            slide.inert = !active;
+            
+            // Off-canvas slides never intersect, so ScrollAnimations can't reveal them
+            if (active) {
+                slide.classList.add('animated');
+            }
+        });
+        this.dots.forEach((dot, i) => {
+            dot.setAttribute('aria-current', String(i === this.index));
+        });
+        
+        // Restart the interval so a manual change gets a full slide duration
+        if (user) {
+            this.updateTimer();
+        }
+        
+        this.reportImpression();
+    }
+
+    reportImpression() {
+        if (!this.isVisible || this.seen.has(this.index)) return;
+        this.seen.add(this.index);
+        
+        const slide = this.slides[this.index];
+        const author = slide && slide.querySelector('.author-info h4');
+        
+        events.emit('carousel:impression', {
+            carousel: 'testimonials',
+            index: this.index,
+            total: this.slides.length,
+            label: author ? author.textContent.trim() : ''
+        });
+    }
+}
+
+// =============================================================================
+// SCROLL ANIMATIONS
+// =============================================================================
+
+class ScrollAnimations extends AppModule {
+    constructor() {
+        super();
+        this.elements = Array.from(document.querySelectorAll('.animate-on-scroll'));
+        this.observer = null;
+        this.observerOptions = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        };
+    }
+
+    init() {
+        if ('IntersectionObserver' in window) {
+            this.setupIntersectionObserver();
+        } else {
+            // Fallback for older browsers
+            this.setupScrollListener();
+        }
+        
+        this.setupHeroScrollCue();
+        
+        // Cards rendered from JSON content arrive after start-up
+        this.subscribe('content:rendered', ({ elements }) => this.observe(elements));
+    }
+
+    /**
+     * Start animating elements added to the page after init
+     */
+    observe(elements) {
+        const added = elements.filter(element => element.classList.contains('animate-on-scroll'));
+        this.elements = this.elements.filter(element => document.contains(element)).concat(added);
+        
+        if (this.observer) {
+            added.forEach(element => this.observer.observe(element));
+        } else {
+            scrollScheduler.schedule();
+        }
+    }
+
+    setupIntersectionObserver() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry, index) => {
+                if (entry.isIntersecting) {
+                    setTimeout(() => {
+                        entry.target.classList.add('animated');
+                    }, index * CONFIG.ANIMATION_DELAY);
+                    
+                    // Unobserve after animation to improve performance
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, this.observerOptions);
+
+        this.elements.forEach(element => {
+            observer.observe(element);
+        });
+        this.observer = observer;
+        this.onDestroy(() => observer.disconnect());
+    }
+
+    setupScrollListener() {
+        this.onScroll({
+            read: () => this.elements.filter(element => {
+                return !element.classList.contains('animated') && Utils.isInViewport(element);
+            }),
+            write: (state, inView) => {
+                inView.forEach((element, index) => {
+                    setTimeout(() => {
+                        element.classList.add('animated');
+                    }, index * CONFIG.ANIMATION_DELAY);
+                });
+            }
+        });
+    }
+
+    setupHeroScrollCue() {
+        // Fades out the scroll-down arrow after user scrolls
+        const cue = document.querySelector('.hero-scroll');
+        if (!cue) return;
+        
+        this.onScroll({
+            write: ({ scrollY }) => {
+                cue.style.opacity = scrollY > 60 ? '0' : '1';
+            }
+        });
+    }
+}
+
+// =============================================================================
+// BACK TO TOP FUNCTIONALITY
+// =============================================================================
+
+class BackToTop extends AppModule {
+    constructor() {
+        super();
+        this.button = document.getElementById('backToTop');
+    }
+
+    init() {
+        if (!this.button) return;
+
+        this.setupScrollListener();
+        this.setupClickHandler();
+    }
+
+    setupScrollListener() {
+        this.onScroll({
+            write: ({ scrollY }) => {
+                this.button.classList.toggle('show', scrollY > CONFIG.SCROLL_THRESHOLD);
+            }
+        });
+    }
+
+    setupClickHandler() {
+        this.listen(this.button, 'click', (e) => {
+            e.preventDefault();
+            window.scrollTo({
+                top: 0,
+                behavior: 'smooth'
+            });
+        });
+    }
+}
+
+// =============================================================================
+// THEME
+// =============================================================================
+
+const THEMES = Object.freeze({
+    LIGHT: 'light',
+    DARK: 'dark',
+    SYSTEM: 'system'
+});
+
+/**
+ * Light, dark or system theme. The resolved theme goes on <html data-theme>
+ * and the visitor's choice on data-theme-preference; styles.css swaps the
+ * design tokens from there, so generated UI follows without extra work.
+ */
+class ThemeManager extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.THEME;
+        this.toggle = document.getElementById('themeToggle');
+        this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.preference = this.loadPreference();
+    }
+
+    init() {
+        this.apply();
+        
+        // Follow the OS setting live while the visitor is on "system"
+        this.listen(this.mediaQuery, 'change', () => {
+            if (this.preference === THEMES.SYSTEM) {
+                this.apply();
+            }
+        });
+        
+        if (this.toggle) {
+            this.listen(this.toggle, 'click', () => this.cycle());
+            this.listen(document, 'localechange', () => this.updateToggle());
+        }
+    }
+
+    isValid(preference) {
+        return Object.values(THEMES).includes(preference);
+    }
+
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(this.settings.STORAGE_KEY);
+            if (this.isValid(stored)) return stored;
+        } catch (error) {
+            console.error('Could not read theme:', error);
+        }
+        return this.settings.DEFAULT;
+    }
+
+    getTheme() {
+        if (this.preference === THEMES.SYSTEM) {
+            return this.mediaQuery.matches ? THEMES.DARK : THEMES.LIGHT;
+        }
+        return this.preference;
+    }
+
+    setPreference(preference) {
+        if (!this.isValid(preference)) return;
+        
+        this.preference = preference;
+        try {
+            localStorage.setItem(this.settings.STORAGE_KEY, preference);
+        } catch (error) {
+            console.error('Could not store theme:', error);
+        }
+        
+        this.apply();
+    }
+
+    cycle() {
+        const order = this.settings.ORDER;
+        this.setPreference(order[(order.indexOf(this.preference) + 1) % order.length]);
+    }
+
+    apply() {
+        const theme = this.getTheme();
+        document.documentElement.dataset.theme = theme;
+        document.documentElement.dataset.themePreference = this.preference;
+        
+        this.updateToggle();
+        events.emit('theme:changed', { theme, preference: this.preference });
+    }
+
+    updateToggle() {
+        if (!this.toggle) return;
+        
+        this.toggle.setAttribute('aria-label', i18n.t('theme.label', {
+            theme: i18n.t(`theme.${this.preference}`)
+        }));
+    }
+}
+
+// =============================================================================
+// NOTIFICATIONS
+// =============================================================================
+
+const NOTIFICATION_TYPES = Object.freeze(['success', 'error', 'warning', 'info']);
+
+/**
+ * Stacked toast notifications. Toasts beyond MAX_VISIBLE wait in a queue,
+ * timers pause while a toast is hovered or focused, and every message is
+ * announced through a live region.
+ */
+class NotificationManager extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.NOTIFICATIONS;
+        this.visible = new Map();
+        this.queue = [];
+    }
+
+    init() {
+        this.container = document.createElement('section');
+        this.container.className = 'notification-stack';
+        this.container.setAttribute('aria-label', i18n.t('notifications.label'));
+        
+        // Separate regions so errors interrupt while everything else waits its turn
+        this.politeRegion = this.createLiveRegion('polite');
+        this.assertiveRegion = this.createLiveRegion('assertive');
+        
+        document.body.append(this.container, this.politeRegion, this.assertiveRegion);
+        this.onDestroy(() => {
+            this.queue = [];
+            this.visible.forEach(entry => clearTimeout(entry.timer));
+            this.visible.clear();
+            this.container.remove();
+            this.politeRegion.remove();
+            this.assertiveRegion.remove();
+        });
+        
+        this.listen(document, 'localechange', () => {
+            this.container.setAttribute('aria-label', i18n.t('notifications.label'));
+        });
+    }
+
+    createLiveRegion(politeness) {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        return region;
+    }
+
+    /**
+     * Show a toast and return its id.
+     * options.type     - success | error | warning | info
+     * options.duration - ms before auto-dismiss, 0 to keep it until closed
+     * options.actions  - [{ label, onClick }], each closes the toast when clicked
+     */
+    show(message, options = {}) {
+        const type = NOTIFICATION_TYPES.includes(options.type) ? options.type : 'info';
+        const notification = {
+            id: Utils.generateId(),
+            message,
+            type,
+            duration: options.duration !== undefined
+                ? options.duration
+                : type === 'error' ? this.settings.ERROR_DURATION : this.settings.DURATION,
+            actions: options.actions || []
+        };
+        
+        if (this.visible.size >= this.settings.MAX_VISIBLE) {
+            this.queue.push(notification);
+        } else {
+            this.render(notification);
+        }
+        
+        return notification.id;
+    }
+
+    success(message, options = {}) {
+        return this.show(message, { ...options, type: 'success' });
+    }
+
+    error(message, options = {}) {
+        return this.show(message, { ...options, type: 'error' });
+    }
+
+    warning(message, options = {}) {
+        return this.show(message, { ...options, type: 'warning' });
+    }
+
+    info(message, options = {}) {
+        return this.show(message, { ...options, type: 'info' });
+    }
+
+    render(notification) {
+        const element = document.createElement('div');
+        element.className = `notification notification-${notification.type}`;
+        
+        const message = document.createElement('p');
+        message.className = 'notification-message';
+        message.textContent = notification.message;
+        element.appendChild(message);
+        
+        if (notification.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+            
+            notification.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'notification-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    this.dismiss(notification.id);
+                    action.onClick();
+                });
+                actions.appendChild(button);
+            });
+            
+            element.appendChild(actions);
+        }
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'notification-close';
+        closeButton.setAttribute('aria-label', i18n.t('notifications.close'));
+        closeButton.innerHTML = '<span aria-hidden="true">&times;</span>';
+        closeButton.addEventListener('click', () => this.dismiss(notification.id));
+        element.appendChild(closeButton);
+        
+        const entry = { ...notification, element, timer: null, remaining: notification.duration, startedAt: 0 };
+        this.visible.set(notification.id, entry);
+        
+        element.addEventListener('mouseenter', () => this.pause(entry));
+        element.addEventListener('mouseleave', () => {
+            if (!element.contains(document.activeElement)) this.resume(entry);
+        });
+        element.addEventListener('focusin', () => this.pause(entry));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget) && !element.matches(':hover')) this.resume(entry);
+        });
+        
+        this.container.appendChild(element);
+        this.announce(notification);
+        this.resume(entry);
+    }
+
+    announce(notification) {
+        const region = notification.type === 'error' ? this.assertiveRegion : this.politeRegion;
+        
+        // Clear first so repeating the same message is still announced
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = notification.message;
+        }, 100);
+    }
+
+    pause(entry) {
+        if (!entry.timer) return;
+        
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining -= Date.now() - entry.startedAt;
+    }
+
+    resume(entry) {
+        if (entry.timer || entry.duration === 0 || !this.visible.has(entry.id)) return;
+        
+        entry.startedAt = Date.now();
+        entry.timer = setTimeout(() => this.dismiss(entry.id), Math.max(entry.remaining, 0));
+    }
+
+    dismiss(id) {
+        const entry = this.visible.get(id);
+        if (!entry) {
+            this.queue = this.queue.filter(notification => notification.id !== id);
+            return;
+        }
+        
+        clearTimeout(entry.timer);
+        this.visible.delete(id);
+        
+        entry.element.classList.add('notification-leaving');
+        setTimeout(() => {
+            entry.element.remove();
+        }, this.settings.EXIT_DURATION);
+        
+        if (this.queue.length > 0) {
+            this.render(this.queue.shift());
+        }
+    }
+
+    clear() {
+        this.queue = [];
+        Array.from(this.visible.keys()).forEach(id => this.dismiss(id));
+    }
+}
+
+// =============================================================================
+// MODAL FUNCTIONALITY
+// =============================================================================
+
+const FOCUSABLE_SELECTOR = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Opens static and generated modals as a stack. Each open() returns a promise
+ * that settles with the value of the button that closed the modal, or null
+ * when it was dismissed with Escape or a backdrop click.
+ */
+class ModalManager extends AppModule {
+    constructor() {
+        super();
+        this.stack = [];
+        this.prepared = new WeakSet();
+    }
+
+    init() {
+        document.querySelectorAll('.modal').forEach(modal => this.prepare(modal));
+        this.setupKeyboardNavigation();
+        
+        this.onDestroy(() => {
+            this.closeAll();
+            this.prepared = new WeakSet();
+        });
+    }
+
+    /**
+     * Wire up a modal element once: ARIA, backdrop clicks and close buttons
+     */
+    prepare(modal) {
+        if (this.prepared.has(modal)) return;
+        this.prepared.add(modal);
+        
+        modal.setAttribute('role', modal.getAttribute('role') || 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        
+        this.listen(modal, 'click', (e) => {
+            if (e.target === modal && this.isDismissible(modal)) {
+                this.close(modal, null);
+                return;
+            }
+            
+            const button = e.target.closest('[data-modal-value], [data-modal-close]');
+            if (button && modal.contains(button)) {
+                this.close(modal, button.hasAttribute('data-modal-value') ? button.dataset.modalValue : null);
+            }
+        });
+    }
+
+    setupKeyboardNavigation() {
+        this.listen(document, 'keydown', (e) => {
+            const top = this.getTop();
+            if (!top) return;
+            
+            if (e.key === 'Escape' && this.isDismissible(top.modal)) {
+                e.preventDefault();
+                this.close(top.modal, null);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e, top.modal);
+            }
+        });
+    }
+
+    trapFocus(e, container) {
+        const focusableElements = Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(element => element.offsetParent !== null);
+        
+        if (focusableElements.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+        
+        // Pull focus back in if it escaped to a modal further down the stack
+        if (!container.contains(document.activeElement)) {
+            (e.shiftKey ? lastElement : firstElement).focus();
+            e.preventDefault();
+        } else if (e.shiftKey && document.activeElement === firstElement) {
+            lastElement.focus();
+            e.preventDefault();
+        } else if (!e.shiftKey && document.activeElement === lastElement) {
+            firstElement.focus();
+            e.preventDefault();
+        }
+    }
+
+    getTop() {
+        return this.stack[this.stack.length - 1] || null;
+    }
+
+    isOpen(modal) {
+        return this.stack.some(entry => entry.modal === modal);
+    }
+
+    isDismissible(modal) {
+        return modal.dataset.modalDismissible !== 'false';
+    }
+
+    /**
+     * Open a modal by id, element, or generated from { title, message, content, actions }.
+     * options.trigger     - element to refocus on close (defaults to the active element)
+     * options.dismissible - allow Escape and backdrop clicks to close it (default true)
+     */
+    open(idOrContent, options = {}) {
+        const { trigger = document.activeElement, dismissible = true } = options;
+        const modal = this.resolve(idOrContent);
+        
+        if (!modal) {
+            return Promise.reject(new Error(`Modal not found: ${idOrContent}`));
+        }
+        
+        const existing = this.stack.find(entry => entry.modal === modal);
+        if (existing) {
+            return existing.promise;
+        }
+        
+        this.prepare(modal);
+        modal.dataset.modalDismissible = String(dismissible);
+        
+        const entry = { modal, trigger };
+        entry.promise = new Promise(resolve => {
+            entry.resolve = resolve;
+        });
+        
+        this.stack.push(entry);
+        modal.style.zIndex = `calc(var(--z-modal) + ${this.stack.length})`;
+        modal.classList.add('show');
+        this.lockScroll();
+        
+        // Focus management for accessibility
+        const firstFocusable = modal.querySelector('[autofocus]') || modal.querySelector(FOCUSABLE_SELECTOR);
+        if (firstFocusable) {
+            firstFocusable.focus();
+        }
+        
+        return entry.promise;
+    }
+
+    /**
+     * Close a modal (the top-most by default) and settle its promise with value.
+     * Modals stacked above it close first.
+     */
+    close(modal, value = null) {
+        const index = modal ? this.stack.findIndex(entry => entry.modal === modal) : this.stack.length - 1;
+        if (index === -1) return;
+        
+        while (this.stack.length > index + 1) {
+            this.close(this.getTop().modal, null);
+        }
+        
+        const entry = this.stack.pop();
+        entry.modal.classList.remove('show');
+        entry.modal.style.zIndex = '';
+        
+        if (entry.modal.dataset.modalGenerated) {
+            entry.modal.remove();
+        }
+        
+        if (this.stack.length === 0) {
+            this.unlockScroll();
+        }
+        
+        // Return focus to the element that opened the modal
+        if (entry.trigger && document.contains(entry.trigger)) {
+            entry.trigger.focus();
+        }
+        
+        entry.resolve(value);
+    }
+
+    closeAll() {
+        while (this.stack.length > 0) {
+            this.close(null, null);
+        }
+    }
+
+    confirm(message, options = {}) {
+        return this.open({
+            title: options.title || i18n.t('modal.confirmTitle'),
+            message,
+            actions: [
+                { label: options.cancelLabel || i18n.t('modal.cancel'), value: 'cancel' },
+                { label: options.confirmLabel || i18n.t('modal.confirm'), value: 'confirm', primary: true }
+            ]
+        }, options).then(value => value === 'confirm');
+    }
+
+    alert(message, options = {}) {
+        return this.open({
+            title: options.title,
+            message,
+            actions: [
+                { label: options.buttonLabel || i18n.t('modal.ok'), value: 'ok', primary: true }
+            ]
+        }, options).then(() => undefined);
+    }
+
+    resolve(idOrContent) {
+        if (typeof idOrContent === 'string') {
+            return document.getElementById(idOrContent);
+        }
+        if (idOrContent instanceof HTMLElement) {
+            return idOrContent.classList.contains('modal') ? idOrContent : this.build({ content: idOrContent });
+        }
+        return idOrContent ? this.build(idOrContent) : null;
+    }
+
+    /**
+     * Generate a modal that is removed from the DOM again when it closes
+     */
+    build({ title, message, content, actions = [] }) {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.dataset.modalGenerated = 'true';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'modal-content';
+        modal.appendChild(dialog);
+        
+        if (title) {
+            const heading = document.createElement('h3');
+            heading.id = `modal-title-${Utils.generateId()}`;
+            heading.textContent = title;
+            dialog.appendChild(heading);
+            modal.setAttribute('aria-labelledby', heading.id);
+        }
+        
+        if (message) {
+            const text = document.createElement('p');
+            text.id = `modal-message-${Utils.generateId()}`;
+            text.textContent = message;
+            dialog.appendChild(text);
+            modal.setAttribute('aria-describedby', text.id);
+        }
+        
+        if (content) {
+            dialog.appendChild(content);
+        }
+        
+        if (actions.length > 0) {
+            const actionBar = document.createElement('div');
+            actionBar.className = 'modal-actions';
+            
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `btn ${action.primary ? 'btn-primary' : 'btn-secondary'}`;
+                button.dataset.modalValue = action.value;
+                button.textContent = action.label;
+                button.autofocus = Boolean(action.primary);
+                actionBar.appendChild(button);
+            });
+            
+            dialog.appendChild(actionBar);
+        }
+        
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    lockScroll() {
+        if (document.body.classList.contains('modal-open')) return;
+        
+        // Pad by the scrollbar width so the page doesn't jump sideways
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        document.body.style.setProperty('--scrollbar-width', `${scrollbarWidth}px`);
+        document.body.classList.add('modal-open');
+    }
+
+    unlockScroll() {
+        document.body.classList.remove('modal-open');
+        document.body.style.removeProperty('--scrollbar-width');
+    }
+}
+
+// =============================================================================
+// PERFORMANCE OPTIMIZATION
+// =============================================================================
+
+class PerformanceOptimizer extends AppModule {
+    init() {
+        this.preloadCriticalResources();
+        this.lazyLoadImages();
+        this.optimizeAnimations();
+    }
+
+    preloadCriticalResources() {
+        // Preload hero background image
+        const heroSection = document.querySelector('.hero');
+        if (heroSection) {
+            const img = new Image();
+            img.src = '/images/hero-bg.jpg'; // Replace with actual image path
+        }
+    }
+
+    lazyLoadImages() {
+        if ('loading' in HTMLImageElement.prototype) {
+            // Native lazy loading support
+            const images = document.querySelectorAll('img[data-src]');
+            images.forEach(img => {
+                img.src = img.dataset.src;
+                img.removeAttribute('data-src');
+            });
+        } else {
+            // Fallback with Intersection Observer
+            this.setupImageLazyLoading();
+        }
+    }
+
+    setupImageLazyLoading() {
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    img.src = img.dataset.src;
+                    img.classList.remove('lazy');
+                    imageObserver.unobserve(img);
+                }
+            });
+        });
+
+        const lazyImages = document.querySelectorAll('img[data-src]');
+        lazyImages.forEach(img => imageObserver.observe(img));
+        this.onDestroy(() => imageObserver.disconnect());
+    }
+
+    optimizeAnimations() {
+        // Reduce animations on low-end devices
+        if (navigator.hardwareConcurrency && navigator.hardwareConcurrency < 4) {
+            document.documentElement.classList.add('reduce-animations');
+        }
+
+        // Pause animations when page is not visible
+        this.listen(document, 'visibilitychange', () => {
+            const animatedElements = document.querySelectorAll('[style*="animation"]');
+            animatedElements.forEach(element => {
+                if (document.hidden) {
+                    element.style.animationPlayState = 'paused';
+                } else {
+                    element.style.animationPlayState = 'running';
+                }
+            });
+        });
+    }
+}
+
+// =============================================================================
+// PERFORMANCE MONITORING
+// =============================================================================
+
+/**
+ * Collects Core Web Vitals, long tasks and the heaviest resources with
+ * PerformanceObserver and reports them once per page view, when the page is
+ * hidden. Add ?cf_debug=performance to log measurements as they come in.
+ */
+class PerformanceMonitor extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.PERFORMANCE_MONITOR;
+        this.metrics = {};
+        this.longTasks = { count: 0, totalDuration: 0, longest: 0 };
+        this.clsWindow = { value: 0, entries: [] };
+        this.interactions = new Map();
+        // The final update shares the first report's id, so the server overwrites it
+        this.reportId = Utils.generateId();
+        this.lastReport = null;
+        this.finalized = false;
+        this.debug = this.settings.DEBUG ||
+            new URLSearchParams(window.location.search).get(this.settings.DEBUG_PARAM) === 'performance';
+    }
+
+    init() {
+        if (typeof PerformanceObserver === 'undefined') return;
+        
+        this.measureNavigation();
+        this.observeLcp();
+        this.observeCls();
+        this.observeInp();
+        this.observeLongTasks();
+        
+        // Report the first time the tab is hidden, since mobile browsers may
+        // discard it without a pagehide; pagehide then sends the final values
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && !this.lastReport) {
+                this.report();
+            }
+        });
+        this.listen(window, 'pagehide', () => {
+            // A page restored from the back/forward cache can fire pagehide again
+            if (this.finalized) return;
+            this.finalized = true;
+            this.report();
+        });
+    }
+
+    /**
+     * Observe an entry type if the browser supports it, including entries
+     * recorded before this module started
+     */
+    observe(type, callback, options = {}) {
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return;
+        
+        const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+        observer.observe({ type, buffered: true, ...options });
+        this.onDestroy(() => observer.disconnect());
+    }
+
+    measureNavigation() {
+        const [navigation] = performance.getEntriesByType('navigation');
+        if (navigation) {
+            this.record('TTFB', navigation.responseStart);
+        }
+        
+        this.observe('paint', entry => {
+            if (entry.name === 'first-contentful-paint') {
+                this.record('FCP', entry.startTime);
+            }
+        });
+    }
+
+    observeLcp() {
+        // The last candidate before the first input is the final LCP
+        this.observe('largest-contentful-paint', entry => {
+            this.record('LCP', entry.startTime, Utils.describeElement(entry.element) || entry.url || null);
+        });
+    }
+
+    /**
+     * CLS is the largest burst of shifts less than 1s apart, capped at 5s
+     */
+    observeCls() {
+        this.observe('layout-shift', entry => {
+            if (entry.hadRecentInput) return;
+            
+            const windowEntries = this.clsWindow.entries;
+            const first = windowEntries[0];
+            const last = windowEntries[windowEntries.length - 1];
+            
+            if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                this.clsWindow.value += entry.value;
+                windowEntries.push(entry);
+            } else {
+                this.clsWindow = { value: entry.value, entries: [entry] };
+            }
+            
+            if (!this.metrics.CLS || this.clsWindow.value > this.metrics.CLS.value) {
+                this.record('CLS', this.clsWindow.value, this.getShiftSource(this.clsWindow.entries));
+            }
+        });
+    }
+
+    getShiftSource(entries) {
+        let largest = null;
+        
+        entries.forEach(entry => {
+            (entry.sources || []).forEach(source => {
+                const area = source.currentRect.width * source.currentRect.height;
+                if (source.node && (!largest || area > largest.area)) {
+                    largest = { node: source.node, area };
+                }
+            });
+        });
+        
+        return largest ? Utils.describeElement(largest.node) : null;
+    }
+
+    /**
+     * INP is roughly the slowest interaction, ignoring one outlier per 50
+     */
+    observeInp() {
+        const handleEntry = entry => {
+            if (!entry.interactionId) return;
+            
+            const existing = this.interactions.get(entry.interactionId);
+            if (existing && existing.duration >= entry.duration) return;
+            
+            this.interactions.set(entry.interactionId, {
+                duration: entry.duration,
+                target: Utils.describeElement(entry.target),
+                event: entry.name
+            });
+            
+            const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+            const candidate = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+            this.record('INP', candidate.duration, candidate.target, { event: candidate.event });
+        };
+        
+        this.observe('event', handleEntry, { durationThreshold: this.settings.INP_DURATION_THRESHOLD });
+        this.observe('first-input', handleEntry);
+    }
+
+    observeLongTasks() {
+        this.observe('longtask', entry => {
+            this.longTasks.count++;
+            this.longTasks.totalDuration += entry.duration;
+            this.longTasks.longest = Math.max(this.longTasks.longest, entry.duration);
+            
+            if (this.debug) {
+                console.log('Long task:', Math.round(entry.duration), 'ms', entry.attribution);
+            }
+        });
+    }
+
+    getLargestResources() {
+        return performance.getEntriesByType('resource')
+            .map(entry => ({
+                name: entry.name.split('?')[0],
+                type: entry.initiatorType,
+                // Cross-origin resources without Timing-Allow-Origin report 0 bytes
+                size: entry.transferSize || entry.encodedBodySize || 0,
+                duration: Math.round(entry.duration)
+            }))
+            .sort((a, b) => b.size - a.size || b.duration - a.duration)
+            .slice(0, this.settings.TOP_RESOURCES);
+    }
+
+    record(name, value, target = null, extra = {}) {
+        const thresholds = this.settings.THRESHOLDS[name];
+        let rating = 'good';
+        if (value > thresholds[1]) {
+            rating = 'poor';
+        } else if (value > thresholds[0]) {
+            rating = 'needs-improvement';
+        }
+        
+        this.metrics[name] = { value, rating, target, ...extra };
+        
+        if (this.debug) {
+            console.log(`${name}:`, name === 'CLS' ? value.toFixed(3) : `${Math.round(value)}ms`, rating, target || '');
+        }
+    }
+
+    /**
+     * Emit the metrics so far: once per page view, plus one update under the
+     * same id if they changed by the time the page is unloaded
+     */
+    report() {
+        const report = {
+            id: this.reportId,
+            update: this.lastReport !== null,
+            metrics: { ...this.metrics },
+            longTasks: {
+                count: this.longTasks.count,
+                totalDuration: Math.round(this.longTasks.totalDuration),
+                longest: Math.round(this.longTasks.longest)
+            },
+            resources: this.getLargestResources()
+        };
+        
+        // Nothing new since the first report
+        const snapshot = JSON.stringify([report.metrics, report.longTasks]);
+        if (snapshot === this.lastReport) return;
+        this.lastReport = snapshot;
+        
+        if (this.debug) {
+            console.log('Performance report:', report);
+        }
+        
+        // Analytics picks this up and sends it before the page goes away
+        events.emit('performance:report', report);
+    }
+}
+
+// =============================================================================
+// ACCESSIBILITY ENHANCEMENTS
+// =============================================================================
+
+class AccessibilityManager extends AppModule {
+    init() {
+        this.setupKeyboardNavigation();
+        this.setupScreenReaderSupport();
+        this.setupReducedMotionSupport();
+    }
+
+    setupKeyboardNavigation() {
+        // Ensure all interactive elements are keyboard accessible
+        const interactiveElements = document.querySelectorAll('button, a, input, select, textarea');
+        
+        interactiveElements.forEach(element => {
+            if (!element.hasAttribute('tabindex')) {
+                element.setAttribute('tabindex', '0');
+            }
+        });
+
+        // Skip link functionality
+        const skipLink = document.querySelector('.skip-link');
+        if (skipLink) {
+            this.listen(skipLink, 'click', (e) => {
+                e.preventDefault();
+                const target = document.querySelector('#main-content') || document.querySelector('main');
+                if (target) {
+                    target.focus();
+                    target.scrollIntoView();
+                }
+            });
+        }
+    }
+
+    setupScreenReaderSupport() {
+        // Add ARIA labels where needed
+        const forms = document.querySelectorAll('form');
+        forms.forEach(form => {
+            if (!form.hasAttribute('aria-label')) {
+                const heading = form.querySelector('h1, h2, h3, h4, h5, h6');
+                if (heading) {
+                    form.setAttribute('aria-labelledby', heading.id || 'form-heading');
+                }
+            }
+        });
+
+        // Announce form validation errors
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
+                    const element = mutation.target;
+                    if (element.classList.contains('show') && element.classList.contains('form-error')) {
+                        element.setAttribute('aria-live', 'polite');
+                        element.setAttribute('role', 'alert');
+                    }
+                }
+            });
+        });
+
+        document.querySelectorAll('.form-error').forEach(error => {
+            observer.observe(error, { attributes: true });
+        });
+        this.onDestroy(() => observer.disconnect());
+    }
+
+    setupReducedMotionSupport() {
+        // Respect user's motion preferences
+        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        
+        if (prefersReducedMotion.matches) {
+            document.documentElement.classList.add('reduce-motion');
+            events.emit('accessibility:reducedmotion', { reduced: true });
+            
+            // Disable smooth scrolling
+            document.querySelectorAll('*').forEach(element => {
+                element.style.scrollBehavior = 'auto';
+            });
+        }
+
+        // Listen for changes in motion preference
+        this.listen(prefersReducedMotion, 'change', (e) => {
+            if (e.matches) {
+                document.documentElement.classList.add('reduce-motion');
+            } else {
+                document.documentElement.classList.remove('reduce-motion');
+            }
+            events.emit('accessibility:reducedmotion', { reduced: e.matches });
+        });
+    }
+}
+
+// =============================================================================
+// CONSENT MANAGEMENT
+// =============================================================================
+
+class ConsentManager extends AppModule {
+    constructor(modalManager) {
+        super();
+        this.modalManager = modalManager;
+        this.settings = CONFIG.CONSENT;
+        this.banner = document.getElementById('consentBanner');
+        this.modal = document.getElementById('consentModal');
+        this.form = document.getElementById('consentForm');
+        
+        this.state = this.loadState();
+        this.pending = [];
+    }
+
+    init() {
+        this.setupControls();
+        this.applyVendorConsent();
+        
+        if (!this.isDecided()) {
+            this.showBanner();
+        }
+    }
+
+    setupControls() {
+        this.listen(document, 'click', (e) => {
+            const control = e.target.closest('[data-consent-action]');
+            if (!control) return;
+            
+            e.preventDefault();
+            switch (control.dataset.consentAction) {
+                case 'accept':
+                    this.acceptAll();
+                    break;
+                case 'reject':
+                    this.rejectAll();
+                    break;
+                case 'preferences':
+                    this.openPreferences(control);
+                    break;
+            }
+        });
+        
+        if (this.form) {
+            this.listen(this.form, 'submit', (e) => {
+                e.preventDefault();
+                this.setConsent({
+                    analytics: this.form.elements.analytics.checked,
+                    marketing: this.form.elements.marketing.checked
+                });
+                this.modalManager.close(this.modal, 'saved');
+            });
+        }
+    }
+
+    loadState() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.settings.STORAGE_KEY));
+            
+            // A choice made under an older policy doesn't count
+            if (!stored || stored.version !== this.settings.POLICY_VERSION) {
+                return null;
+            }
+            return stored;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isDecided() {
+        return this.state !== null;
+    }
+
+    hasConsent(category) {
+        if (category === 'necessary') return true;
+        return Boolean(this.state && this.state.categories[category]);
+    }
+
+    getConsent() {
+        return {
+            decided: this.isDecided(),
+            version: this.settings.POLICY_VERSION,
+            updatedAt: this.state ? this.state.updatedAt : null,
+            categories: {
+                necessary: true,
+                analytics: this.hasConsent('analytics'),
+                marketing: this.hasConsent('marketing')
+            }
+        };
+    }
+
+    setConsent(categories = {}) {
+        this.state = {
+            version: this.settings.POLICY_VERSION,
+            updatedAt: new Date().toISOString(),
+            categories: {
+                necessary: true,
+                analytics: Boolean(categories.analytics),
+                marketing: Boolean(categories.marketing)
+            }
+        };
+        
+        try {
+            localStorage.setItem(this.settings.STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Could not store consent:', error);
+        }
+        
+        this.hideBanner();
+        this.applyVendorConsent();
+        this.flushPending();
+        this.notify();
+    }
+
+    acceptAll() {
+        this.setConsent({ analytics: true, marketing: true });
+    }
+
+    rejectAll() {
+        this.setConsent({ analytics: false, marketing: false });
+    }
+
+    /**
+     * Run callback once the category is granted. Callbacks are held while the
+     * visitor hasn't decided yet and dropped if the category is declined.
+     */
+    whenGranted(category, callback) {
+        if (this.hasConsent(category)) {
+            callback();
+            return;
+        }
+        
+        if (!this.isDecided() && this.pending.length < this.settings.MAX_PENDING) {
+            this.pending.push({ category, callback });
+        }
+    }
+
+    flushPending() {
+        const pending = this.pending;
+        this.pending = [];
+        
+        pending.forEach(({ category, callback }) => {
+            if (this.hasConsent(category)) {
+                callback();
+            }
+        });
+    }
+
+    notify() {
+        const consent = this.getConsent();
+        events.emit('consent:changed', consent);
+        document.dispatchEvent(new CustomEvent('consentchange', { detail: consent }));
+    }
+
+    applyVendorConsent() {
+        if (!this.isDecided() || typeof gtag === 'undefined') return;
+        
+        const toState = (granted) => granted ? 'granted' : 'denied';
+        gtag('consent', 'update', {
+            analytics_storage: toState(this.hasConsent('analytics')),
+            ad_storage: toState(this.hasConsent('marketing')),
+            ad_user_data: toState(this.hasConsent('marketing')),
+            ad_personalization: toState(this.hasConsent('marketing'))
+        });
+    }
+
+    showBanner() {
+        if (this.banner) {
+            this.banner.hidden = false;
+        }
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.hidden = true;
+        }
+    }
+
+    openPreferences(trigger) {
+        if (!this.modal || !this.form) return;
+        
+        this.form.elements.analytics.checked = this.hasConsent('analytics');
+        this.form.elements.marketing.checked = this.hasConsent('marketing');
+        this.modalManager.open(this.modal, { trigger });
+    }
+}
+
+// =============================================================================
+// ATTRIBUTION
+// =============================================================================
+
+/**
+ * Records where visitors came from. The first touch is kept until it expires;
+ * the last touch is replaced whenever a visit arrives with campaign
+ * parameters or from another site. Nothing is stored or handed out until
+ * the visitor grants CONSENT_CATEGORY, and withdrawing it clears the store.
+ */
+class AttributionTracker extends AppModule {
+    constructor(consentManager) {
+        super();
+        this.consent = consentManager;
+        this.settings = CONFIG.ATTRIBUTION;
+        this.touches = { firstTouch: null, lastTouch: null };
+        this.recorded = false;
+    }
+
+    init() {
+        // Read now, before anything rewrites the URL, but keep it in memory only
+        this.visit = this.captureVisit();
+        
+        this.consent.whenGranted(this.settings.CONSENT_CATEGORY, () => this.record());
+        
+        this.subscribe('consent:changed', ({ categories }) => {
+            if (categories[this.settings.CONSENT_CATEGORY]) {
+                this.record();
+            } else {
+                this.forget();
+            }
+        });
+    }
+
+    isAllowed() {
+        return this.consent.hasConsent(this.settings.CONSENT_CATEGORY);
+    }
+
+    record() {
+        if (this.recorded) return;
+        this.recorded = true;
+        
+        this.touches = this.load();
+        
+        const touch = this.createTouch(this.visit, !this.touches.firstTouch);
+        if (!touch) return;
+        
+        if (!this.touches.firstTouch) {
+            this.touches.firstTouch = touch;
+        }
+        this.touches.lastTouch = touch;
+        this.save();
+    }
+
+    forget() {
+        this.recorded = false;
+        this.touches = { firstTouch: null, lastTouch: null };
+        
+        try {
+            localStorage.removeItem(this.settings.STORAGE_KEY);
+        } catch (error) {
+            console.error('Could not clear attribution:', error);
+        }
+    }
+
+    /**
+     * Campaign parameters and external referrer of the current page view
+     */
+    captureVisit() {
+        const params = new URLSearchParams(window.location.search);
+        const campaign = {};
+        
+        this.settings.PARAMS.forEach(name => {
+            const value = this.cleanValue(params.get(name));
+            if (value) {
+                campaign[name] = value;
+            }
+        });
+        
+        return {
+            campaign: campaign,
+            referrer: this.getExternalReferrer(),
+            landingPage: window.location.origin + window.location.pathname
+        };
+    }
+
+    /**
+     * Payloads are JSON, so values are trimmed and capped rather than
+     * HTML-escaped (which would turn "&" into "&amp;")
+     */
+    cleanValue(value) {
+        if (!value) return null;
+        
+        const cleaned = value.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+        return cleaned ? cleaned.slice(0, this.settings.MAX_VALUE_LENGTH) : null;
+    }
+
+    /**
+     * Touch for this visit, or null for direct and internal navigation
+     */
+    createTouch(visit, isFirstVisit) {
+        if (Object.keys(visit.campaign).length === 0 && !visit.referrer && !isFirstVisit) {
+            return null;
+        }
+        
+        return {
+            ...visit.campaign,
+            referrer: visit.referrer,
+            landing_page: visit.landingPage,
+            captured_at: new Date().toISOString(),
+            expiresAt: Date.now() + this.settings.EXPIRY
+        };
+    }
+
+    getExternalReferrer() {
+        if (!document.referrer) return null;
+        
+        try {
+            const url = new URL(document.referrer);
+            return url.origin === window.location.origin ? null : this.cleanValue(document.referrer);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.settings.STORAGE_KEY)) || {};
+            const now = Date.now();
+            const isLive = touch => touch && now <= touch.expiresAt;
+            
+            return {
+                firstTouch: isLive(stored.firstTouch) ? stored.firstTouch : null,
+                lastTouch: isLive(stored.lastTouch) ? stored.lastTouch : null
+            };
+        } catch (error) {
+            return { firstTouch: null, lastTouch: null };
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.settings.STORAGE_KEY, JSON.stringify(this.touches));
+        } catch (error) {
+            console.error('Could not save attribution:', error);
+        }
+    }
+
+    /**
+     * Both touches for lead payloads, without the storage bookkeeping
+     */
+    getAttribution() {
+        if (!this.isAllowed()) {
+            return { firstTouch: null, lastTouch: null };
+        }
+        
+        const strip = touch => {
+            if (!touch) return null;
+            const { expiresAt, ...fields } = touch;
+            return fields;
+        };
+        
+        return {
+            firstTouch: strip(this.touches.firstTouch),
+            lastTouch: strip(this.touches.lastTouch)
+        };
+    }
+
+    /**
+     * Flat campaign fields for analytics events
+     */
+    getEventParams() {
+        const params = {};
+        if (!this.isAllowed()) return params;
+        
+        [['first_touch', this.touches.firstTouch], ['last_touch', this.touches.lastTouch]].forEach(([prefix, touch]) => {
+            if (!touch) return;
+            ['utm_source', 'utm_medium', 'utm_campaign'].forEach(name => {
+                if (touch[name]) {
+                    params[`${prefix}_${name.replace('utm_', '')}`] = touch[name];
+                }
+            });
+        });
+        
+        return params;
+    }
+}
+
+// =============================================================================
+// ANALYTICS & TRACKING
+// =============================================================================
+
+// Conversion event names per type; form submissions use the default
+const CONVERSION_EVENTS = Object.freeze({
+    booking: { gtag: 'booking_confirmed', fbq: 'Schedule' },
+    default: { gtag: 'form_submit', fbq: 'Lead' }
+});
+
+class Analytics extends AppModule {
+    constructor(consentManager, attribution) {
+        super();
+        this.consent = consentManager;
+        this.attribution = attribution;
+        this.settings = CONFIG.ANALYTICS;
+        this.buffer = [];
+        this.flushTimer = null;
+        this.maxScrollDepth = 0;
+        this.pendingVitals = null;
+    }
+
+    init() {
+        this.setupTransport();
+        this.setupEventSubscriptions();
+        this.setupPageTracking();
+        this.setupInteractionTracking();
+        this.setupScrollTracking();
+        this.setupFormTracking();
+    }
+
+    setupPageTracking() {
+        // Page load tracking
+        this.listen(window, 'load', () => {
+            this.track('page_load', {
+                page_title: document.title,
+                page_url: this.getPageUrl(),
+                load_time: performance.now(),
+                user_agent: navigator.userAgent
+            });
+        });
+    }
+
+    setupInteractionTracking() {
+        // Button click tracking
+        document.querySelectorAll('.btn, .cta-button').forEach(button => {
+            this.listen(button, 'click', (e) => {
+                this.track('button_click', {
+                    button_text: button.textContent.trim(),
+                    button_href: button.href || null,
+                    section: this.getSection(button)
+                });
+            });
+        });
+
+        // Navigation click tracking
+        document.querySelectorAll('.nav-link').forEach(link => {
+            this.listen(link, 'click', (e) => {
+                this.track('navigation_click', {
+                    link_text: link.textContent.trim(),
+                    target_section: link.getAttribute('href')
+                });
+            });
+        });
+    }
+
+    setupScrollTracking() {
+        let scrollDepth = 0;
+        const milestones = [25, 50, 75, 100];
+        
+        this.onScroll({
+            write: ({ scrollY, maxScroll }) => {
+                if (maxScroll === 0) return;
+                const currentDepth = Math.round((scrollY / maxScroll) * 100);
+                this.maxScrollDepth = Math.max(this.maxScrollDepth, currentDepth);
+                
+                milestones.forEach(milestone => {
+                    if (currentDepth >= milestone && scrollDepth < milestone) {
+                        this.track('scroll_depth', {
+                            depth: milestone,
+                            page_url: this.getPageUrl()
+                        });
+                        scrollDepth = milestone;
+                    }
+                });
+            }
+        });
+    }
+
+    setupFormTracking() {
+        // Form start tracking
+        document.querySelectorAll('form').forEach(form => {
+            const inputs = form.querySelectorAll('input, textarea, select');
+            let formStarted = false;
+            
+            inputs.forEach(input => {
+                this.listen(input, 'focus', () => {
+                    if (!formStarted) {
+                        this.track('form_start', {
+                            form_id: form.id || 'unknown',
+                            form_type: form.dataset.formType || 'unknown'
+                        });
+                        formStarted = true;
+                    }
+                });
+            });
+            
+            // Draft funnel steps reported by FormDraftManager
+            this.listen(form, 'draftoffered', () => {
+                this.track('form_draft_offered', this.getFormContext(form));
+            });
+            this.listen(form, 'draftrestored', (e) => {
+                this.track('form_draft_restored', {
+                    ...this.getFormContext(form),
+                    draft_age_seconds: Math.round(e.detail.age / 1000)
+                });
+            });
+            this.listen(form, 'draftdiscarded', () => {
+                this.track('form_draft_discarded', this.getFormContext(form));
+            });
+            
+            this.listen(form, 'submissionblocked', (e) => {
+                this.track('form_submission_blocked', {
+                    ...this.getFormContext(form),
+                    reason: e.detail.reason
+                });
+            });
+        });
+    }
+
+    setupEventSubscriptions() {
+        this.subscribe('form:submitted', ({ formType, leadTier }) => {
+            this.trackConversion(formType, leadTier);
+        });
+        
+        this.subscribe('performance:report', ({ id, update, metrics, longTasks, resources }) => {
+            const data = {
+                report_id: id,
+                report_update: update,
+                page_url: this.getPageUrl(),
+                long_task_count: longTasks.count,
+                long_task_total: longTasks.totalDuration,
+                long_task_longest: longTasks.longest,
+                largest_resources: resources
+            };
+            
+            Object.keys(metrics).forEach(name => {
+                const metric = metrics[name];
+                const key = name.toLowerCase();
+                data[key] = name === 'CLS' ? Number(metric.value.toFixed(4)) : Math.round(metric.value);
+                data[`${key}_rating`] = metric.rating;
+                data[`${key}_target`] = metric.target;
+                if (metric.event) {
+                    data[`${key}_event`] = metric.event;
+                }
+            });
+            
+            // Each report supersedes the previous one, so only the newest
+            // waits for a consent decision
+            if (this.consent.isDecided()) {
+                this.track('web_vitals', data);
+            } else {
+                this.pendingVitals = data;
+            }
+        });
+        
+        this.subscribe('consent:changed', () => {
+            if (this.pendingVitals && this.consent.hasConsent('analytics')) {
+                this.track('web_vitals', this.pendingVitals);
+            }
+            this.pendingVitals = null;
+        });
+        
+        this.subscribe('booking:started', () => {
+            this.track('booking_started');
+        });
+        
+        this.subscribe('booking:confirmed', () => {
+            this.trackConversion('booking');
+        });
+        
+        this.subscribe('experiment:exposure', ({ experiment, variant, forced }) => {
+            this.track('experiment_exposure', {
+                experiment_id: experiment,
+                variant_id: variant,
+                forced
+            });
+        });
+        
+        this.subscribe('carousel:impression', ({ carousel, index, total, label }) => {
+            this.track('carousel_slide_impression', {
+                carousel,
+                slide_index: index,
+                slide_count: total,
+                slide_label: label
+            });
+        });
+        
+        this.subscribe('app:error', ({ kind, ...details }) => {
+            this.track(kind === 'rejection' ? 'promise_rejection' : 'javascript_error', details);
+        });
+    }
+
+    trackConversion(type, leadTier = null) {
+        const timestamp = new Date().toISOString();
+        const eventNames = CONVERSION_EVENTS[type] || CONVERSION_EVENTS.default;
+        
+        // Flattened "experiment:variant|..." so it fits a single event parameter
+        const assignments = experiments.getAssignments();
+        const variants = Object.keys(assignments).map(id => `${id}:${assignments[id]}`).join('|');
+        
+        // Google Analytics 4 tracking (replace with your tracking ID)
+        this.consent.whenGranted('analytics', () => {
+            if (typeof gtag !== 'undefined') {
+                gtag('event', eventNames.gtag, {
+                    ...this.getAttributionParams(),
+                    form_type: type,
+                    timestamp: timestamp,
+                    experiment_variants: variants,
+                    lead_tier: leadTier
+                });
+            }
+        });
+        
+        // Facebook Pixel tracking
+        this.consent.whenGranted('marketing', () => {
+            if (typeof fbq !== 'undefined') {
+                fbq('track', eventNames.fbq, {
+                    form_type: type,
+                    experiment_variants: variants
+                });
+            }
+        });
+        
+        // Console log for development
+        console.log('Conversion tracked:', { type, timestamp, variants });
+    }
+
+    /**
+     * Engagement signals for lead scoring
+     */
+    getEngagement() {
+        return {
+            scrollDepth: this.maxScrollDepth,
+            timeOnPage: Math.round(performance.now() / 1000)
+        };
+    }
+
+    getFormContext(form) {
+        return {
+            form_id: form.id || 'unknown',
+            form_type: form.dataset.formType || 'unknown'
+        };
+    }
+
+    /**
+     * Campaign params, or none when the attribution module isn't running
+     */
+    getAttributionParams() {
+        return this.attribution ? this.attribution.getEventParams() : {};
+    }
+
+    /**
+     * The page without its query string or hash: click ids and UTM values
+     * only travel in the attribution params, which need marketing consent
+     */
+    getPageUrl() {
+        return window.location.origin + window.location.pathname;
+    }
+
+    getSection(element) {
+        const section = element.closest('section');
+        return section ? section.id || section.className : 'unknown';
+    }
+
+    track(eventName, data = {}) {
+        data = { ...this.getAttributionParams(), ...data };
+        errorReporter.addBreadcrumb('analytics', eventName);
+        
+        // Console logging for development
+        console.log('Analytics Event:', eventName, data);
+        
+        // Held until the visitor decides, dropped if analytics is declined
+        this.consent.whenGranted('analytics', () => {
+            // Google Analytics 4
+            if (typeof gtag !== 'undefined') {
+                gtag('event', eventName, data);
+            }
+            
+            // Custom analytics endpoint
+            this.enqueue(eventName, data);
+        });
+    }
+
+    setupTransport() {
+        // Flush with sendBeacon while the page is going away so events survive unload
+        this.listen(window, 'pagehide', () => this.flush({ useBeacon: true }));
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush({ useBeacon: true });
+            }
+        });
+        
+        this.listen(window, 'online', () => this.retryStoredBatches());
+        this.retryStoredBatches();
+        
+        this.onDestroy(() => this.flush({ useBeacon: true }));
+        
+        this.subscribe('consent:changed', () => {
+            if (this.consent.hasConsent('analytics')) {
+                this.retryStoredBatches();
+            } else {
+                // Consent withdrawn: discard anything not yet sent
+                this.buffer = [];
+                try {
+                    localStorage.removeItem(this.settings.STORAGE_KEY);
+                } catch (error) {
+                    console.error('Could not clear analytics batches:', error);
+                }
+            }
+        });
+    }
+
+    getSampleRate(eventName) {
+        const rates = this.settings.SAMPLE_RATES;
+        return eventName in rates ? rates[eventName] : rates.default;
+    }
+
+    enqueue(eventName, data) {
+        const sampleRate = this.getSampleRate(eventName);
+        if (Math.random() >= sampleRate) return;
+        
+        this.buffer.push({
+            event: eventName,
+            data: data,
+            sample_rate: sampleRate,
+            timestamp: new Date().toISOString(),
+            page_url: this.getPageUrl()
+        });
+        
+        if (this.buffer.length >= this.settings.BATCH_SIZE) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.settings.FLUSH_INTERVAL);
+        }
+    }
+
+    flush(options = {}) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        if (this.buffer.length === 0) return;
+        
+        const events = this.buffer;
+        this.buffer = [];
+        this.sendToCustomAnalytics(events, options);
+    }
+
+    /**
+     * Send a batch of events. Batches that can't be delivered are kept in
+     * localStorage and retried on the next page load or when back online.
+     */
+    async sendToCustomAnalytics(events, options = {}) {
+        const payload = JSON.stringify({
+            events: events,
+            sent_at: new Date().toISOString(),
+            user_agent: navigator.userAgent
+        });
+        
+        if (options.useBeacon && navigator.sendBeacon) {
+            const queued = navigator.sendBeacon(
+                this.settings.ENDPOINT,
+                new Blob([payload], { type: 'application/json' })
+            );
+            if (!queued) {
+                this.storeFailedBatch(events);
+            }
+            return;
+        }
+        
+        try {
+            const response = await fetch(this.settings.ENDPOINT, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: payload,
+                keepalive: true
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Analytics error:', error);
+            this.storeFailedBatch(events);
+        }
+    }
+
+    getStoredBatches() {
+        try {
+            return JSON.parse(localStorage.getItem(this.settings.STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    storeFailedBatch(events) {
+        try {
+            const batches = this.getStoredBatches();
+            batches.push(events);
+            
+            // Drop the oldest batches once the cap is reached
+            const trimmed = batches.slice(-this.settings.MAX_STORED_BATCHES);
+            localStorage.setItem(this.settings.STORAGE_KEY, JSON.stringify(trimmed));
+        } catch (error) {
+            console.error('Could not store analytics batch:', error);
+        }
+    }
+
+    retryStoredBatches() {
+        if (!navigator.onLine || !this.consent.hasConsent('analytics')) return;
+        
+        const batches = this.getStoredBatches();
+        if (batches.length === 0) return;
+        
+        try {
+            localStorage.removeItem(this.settings.STORAGE_KEY);
+        } catch (error) {
+            return;
+        }
+        
+        batches.forEach(events => this.sendToCustomAnalytics(events));
+    }
+}
+
+// =============================================================================
+// A/B EXPERIMENTS
+// =============================================================================
+
+/**
+ * Assigns each visitor a stable variant per experiment by hashing a persisted
+ * visitor id, and applies the variant's DOM changes. run() happens at script
+ * load, while the pre-paint snippet in index.html briefly keeps
+ * [data-experiment] elements hidden, and reveals them as soon as the variant
+ * is in place. init() reports exposure only for variants that actually
+ * rendered.
+ */
+class ExperimentManager extends AppModule {
+    constructor() {
+        super();
+        this.settings = CONFIG.EXPERIMENTS;
+        this.assignments = {};
+        this.variants = {};
+        this.unmatched = new Set();
+        this.forced = new Set();
+    }
+
+    run() {
+        const overrides = this.getQueryOverrides();
+        
+        this.settings.DEFINITIONS
+            .filter(experiment => experiment.active !== false)
+            .forEach(experiment => {
+                const variant = this.assign(experiment, overrides[experiment.id]);
+                if (!variant) return;
+                
+                this.assignments[experiment.id] = variant.id;
+                this.variants[experiment.id] = variant;
+                if (!this.applyVariant(variant)) {
+                    this.unmatched.add(experiment.id);
+                }
+            });
+        
+        // Variant text (literal until translations arrive) is in place
+        document.documentElement.classList.remove('experiments-pending');
+    }
+
+    init() {
+        Object.keys(this.assignments).filter(id => this.isRendered(id)).forEach(experimentId => {
+            events.emit('experiment:exposure', {
+                experiment: experimentId,
+                variant: this.assignments[experimentId],
+                forced: this.forced.has(experimentId)
+            });
+        });
+    }
+
+    getVisitorId() {
+        try {
+            let visitorId = localStorage.getItem(this.settings.VISITOR_ID_KEY);
+            if (!visitorId) {
+                visitorId = Utils.generateId();
+                localStorage.setItem(this.settings.VISITOR_ID_KEY, visitorId);
             }
+            return visitorId;
+        } catch (error) {
+            // Without storage the bucket can't be stable; fall back to a per-page id
+            this.fallbackVisitorId = this.fallbackVisitorId || Utils.generateId();
+            return this.fallbackVisitorId;
         }
     }
 
-    setupScreenReaderSupport() {
-        // Add ARIA labels where needed
-        const forms = document.querySelectorAll('form');
-        forms.forEach(form => {
-            if (!form.hasAttribute('aria-label')) {
-                const heading = form.querySelector('h1, h2, h3, h4, h5, h6');
-                if (heading) {
-                    form.setAttribute('aria-labelledby', heading.id || 'form-heading');
-                }
-            }
-        });
+    /**
+     * Stable point in [0, 1) for a string
+     */
+    hash(value) {
+        return Utils.hashString(value) / 0x100000000;
+    }
 
-        // Announce form validation errors
-        const observer = new MutationObserver(mutations => {
-            mutations.forEach(mutation => {
-                if (mutation.type === 'attributes' && mutation.attributeName === 'class') {
-                    const element = mutation.target;
-                    if (element.classList.contains('show') && element.classList.contains('form-error')) {
-                        element.setAttribute('aria-live', 'polite');
-                        element.setAttribute('role', 'alert');
-                    }
-                }
-            });
-        });
+    assign(experiment, forcedVariantId) {
+        const variants = experiment.variants || [];
+        
+        const forced = variants.find(variant => variant.id === forcedVariantId);
+        if (forced) {
+            this.forced.add(experiment.id);
+            return forced;
+        }
+        
+        const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight || 0), 0);
+        if (totalWeight <= 0) return null;
+        
+        // Salt with the experiment id so buckets are independent across experiments
+        let point = this.hash(`${this.getVisitorId()}:${experiment.id}`) * totalWeight;
+        return variants.find(variant => {
+            point -= variant.weight || 0;
+            return point < 0;
+        }) || variants[variants.length - 1];
+    }
 
-        document.querySelectorAll('.form-error').forEach(error => {
-            observer.observe(error, { attributes: true });
+    /**
+     * Apply every change; false if any selector matched nothing
+     */
+    applyVariant(variant) {
+        return (variant.changes || []).every(change => {
+            const elements = document.querySelectorAll(change.selector);
+            elements.forEach(element => this.applyChange(element, change));
+            return elements.length > 0;
         });
     }
 
-    setupReducedMotionSupport() {
-        // Respect user's motion preferences
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    /**
+     * Whether the visitor really saw the assigned variant: its elements were
+     * found and each text change has literal text or a translation
+     */
+    isRendered(experimentId) {
+        if (this.unmatched.has(experimentId)) return false;
         
-        if (prefersReducedMotion.matches) {
-            document.documentElement.classList.add('reduce-motion');
-            
-            // Disable smooth scrolling
-            document.querySelectorAll('*').forEach(element => {
-                element.style.scrollBehavior = 'auto';
+        return (this.variants[experimentId].changes || []).every(change =>
+            !change.i18nKey || change.text !== undefined || i18n.has(change.i18nKey)
+        );
+    }
+
+    applyChange(element, change) {
+        if (change.text !== undefined) {
+            element.textContent = change.text;
+        }
+        
+        if (change.i18nKey) {
+            // i18n replaces the text once loaded, and keeps it translated on locale changes
+            element.setAttribute('data-i18n', change.i18nKey);
+        } else if (change.text !== undefined) {
+            element.removeAttribute('data-i18n');
+        }
+        
+        if (change.attributes) {
+            Object.keys(change.attributes).forEach(name => {
+                element.setAttribute(name, change.attributes[name]);
             });
         }
+        
+        if (change.className) {
+            element.classList.add(...change.className.split(/\s+/).filter(Boolean));
+        }
+    }
 
-        // Listen for changes in motion preference
-        prefersReducedMotion.addEventListener('change', (e) => {
-            if (e.matches) {
-                document.documentElement.classList.add('reduce-motion');
-            } else {
-                document.documentElement.classList.remove('reduce-motion');
+    /**
+     * Parse ?cf_variant=experiment:variant,experiment:variant
+     */
+    getQueryOverrides() {
+        const param = new URLSearchParams(window.location.search).get(this.settings.QUERY_PARAM);
+        if (!param) return {};
+        
+        return param.split(',').reduce((overrides, pair) => {
+            const [experimentId, variantId] = pair.split(':').map(part => part.trim());
+            if (experimentId && variantId) {
+                overrides[experimentId] = variantId;
             }
-        });
+            return overrides;
+        }, {});
+    }
+
+    getAssignments() {
+        return { ...this.assignments };
     }
 }
 
+const experiments = new ExperimentManager();
+
 // =============================================================================
-// ANALYTICS & TRACKING
+// ERROR REPORTING
 // =============================================================================
 
-class Analytics {
+/**
+ * Sends uncaught errors, rejections and module failures to
+ * CONFIG.ENDPOINTS.ERRORS with a parsed stack and a trail of recent
+ * breadcrumbs. Each distinct error (by fingerprint) is sent once per
+ * session, and a session sends at most MAX_REPORTS_PER_SESSION.
+ */
+class ErrorReporter extends AppModule {
     constructor() {
-        this.init();
+        super();
+        this.settings = CONFIG.ERROR_REPORTING;
+        this.breadcrumbs = [];
+        this.capturing = false;
     }
 
     init() {
-        this.setupPageTracking();
-        this.setupInteractionTracking();
-        this.setupScrollTracking();
-        this.setupFormTracking();
-    }
-
-    setupPageTracking() {
-        // Page load tracking
-        window.addEventListener('load', () => {
-            this.track('page_load', {
-                page_title: document.title,
-                page_url: window.location.href,
-                load_time: performance.now(),
-                user_agent: navigator.userAgent
-            });
+        // Clicks and submits are recorded by element only, never by field values
+        this.listen(document, 'click', (e) => {
+            const target = e.target.closest && e.target.closest('a, button, [role="button"], summary');
+            if (target) {
+                this.addBreadcrumb('ui.click', Utils.describeElement(target));
+            }
+        }, { capture: true });
+        
+        this.listen(document, 'submit', (e) => {
+            this.addBreadcrumb('ui.submit', Utils.describeElement(e.target));
+        }, { capture: true });
+        
+        this.listen(window, 'popstate', () => {
+            this.addBreadcrumb('navigation', window.location.hash || window.location.pathname);
         });
     }
 
-    setupInteractionTracking() {
-        // Button click tracking
-        document.querySelectorAll('.btn, .cta-button').forEach(button => {
-            button.addEventListener('click', (e) => {
-                this.track('button_click', {
-                    button_text: button.textContent.trim(),
-                    button_href: button.href || null,
-                    section: this.getSection(button)
-                });
-            });
+    addBreadcrumb(category, message) {
+        this.breadcrumbs.push({
+            timestamp: new Date().toISOString(),
+            category: category,
+            message: message
         });
+        
+        if (this.breadcrumbs.length > this.settings.MAX_BREADCRUMBS) {
+            this.breadcrumbs.shift();
+        }
+    }
 
-        // Navigation click tracking
-        document.querySelectorAll('.nav-link').forEach(link => {
-            link.addEventListener('click', (e) => {
-                this.track('navigation_click', {
-                    link_text: link.textContent.trim(),
-                    target_section: link.getAttribute('href')
-                });
+    /**
+     * Report an error (or any thrown value). context is sent along, e.g.
+     * { kind: 'rejection' } or { module: 'navigation', phase: 'init' }.
+     * Returns the report, or null when it was ignored, a duplicate or over
+     * the session limit.
+     */
+    capture(value, context = {}) {
+        // A failure while reporting must not report itself
+        if (this.capturing) return null;
+        this.capturing = true;
+        
+        try {
+            const error = this.normalizeError(value);
+            if (this.isIgnored(error)) return null;
+            
+            const frames = this.parseStack(error.stack);
+            const fingerprint = this.getFingerprint(error, frames);
+            if (!this.claimReport(fingerprint)) return null;
+            
+            const report = {
+                id: Utils.generateId(),
+                fingerprint: fingerprint,
+                name: error.name,
+                message: error.message,
+                frames: frames,
+                context: context,
+                breadcrumbs: this.breadcrumbs.slice(),
+                // Query strings and fragments can carry emails or tokens
+                url: window.location.origin + window.location.pathname,
+                userAgent: navigator.userAgent,
+                timestamp: new Date().toISOString()
+            };
+            
+            this.send(report);
+            
+            // Analytics tracks these; the full report only goes to the error endpoint
+            events.emit('app:error', {
+                kind: context.kind || 'error',
+                name: error.name,
+                message: error.message,
+                fingerprint: fingerprint,
+                module: context.module || null
             });
-        });
+            
+            return report;
+        } catch (error) {
+            console.error('Could not report error:', error);
+            return null;
+        } finally {
+            this.capturing = false;
+        }
     }
 
-    setupScrollTracking() {
-        let scrollDepth = 0;
-        const milestones = [25, 50, 75, 100];
+    /**
+     * Turn anything that can be thrown or rejected with into { name, message, stack }
+     */
+    normalizeError(value) {
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, stack: value.stack || '' };
+        }
         
-        const trackScrollDepth = Utils.throttle(() => {
-            const windowHeight = window.innerHeight;
-            const documentHeight = document.documentElement.scrollHeight - windowHeight;
-            const scrollTop = window.scrollY;
-            const currentDepth = Math.round((scrollTop / documentHeight) * 100);
-            
-            milestones.forEach(milestone => {
-                if (currentDepth >= milestone && scrollDepth < milestone) {
-                    this.track('scroll_depth', {
-                        depth: milestone,
-                        page_url: window.location.href
-                    });
-                    scrollDepth = milestone;
-                }
-            });
-        }, 1000);
+        if (value && typeof value === 'object' && typeof value.message === 'string') {
+            return { name: value.name || 'Error', message: value.message, stack: value.stack || '' };
+        }
+        
+        let message;
+        try {
+            message = typeof value === 'string' ? value : JSON.stringify(value);
+        } catch (error) {
+            message = Object.prototype.toString.call(value);
+        }
+        
+        // JSON.stringify(undefined) is undefined
+        return { name: 'NonError', message: String(message), stack: '' };
+    }
 
-        window.addEventListener('scroll', trackScrollDepth);
+    isIgnored(error) {
+        return this.settings.IGNORE.some(pattern => pattern.test(error.message));
     }
 
-    setupFormTracking() {
-        // Form start tracking
-        document.querySelectorAll('form').forEach(form => {
-            const inputs = form.querySelectorAll('input, textarea, select');
-            let formStarted = false;
+    /**
+     * Parse V8 ("at fn (file:1:2)") and Firefox/Safari ("fn@file:1:2") stack lines
+     */
+    parseStack(stack) {
+        const frames = [];
+        
+        stack.split('\n').forEach(line => {
+            const v8 = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/);
+            const gecko = !v8 && line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)$/);
+            const match = v8 || gecko;
+            if (!match) return;
             
-            inputs.forEach(input => {
-                input.addEventListener('focus', () => {
-                    if (!formStarted) {
-                        this.track('form_start', {
-                            form_id: form.id || 'unknown',
-                            form_type: form.dataset.formType || 'unknown'
-                        });
-                        formStarted = true;
-                    }
-                });
+            frames.push({
+                function: match[1] || '<anonymous>',
+                file: match[2],
+                line: Number(match[3]),
+                column: Number(match[4])
             });
         });
+        
+        return frames.slice(0, this.settings.MAX_STACK_FRAMES);
     }
 
-    getSection(element) {
-        const section = element.closest('section');
-        return section ? section.id || section.className : 'unknown';
+    /**
+     * Same error type, message shape and throwing location share a fingerprint;
+     * digits are dropped so ids and counts in messages don't split groups
+     */
+    getFingerprint(error, frames) {
+        const top = frames[0];
+        const location = top ? `${top.file.split('?')[0]}:${top.function}` : '';
+        const message = error.message.replace(/\d+/g, '#');
+        
+        return Utils.hashString(`${error.name}|${message}|${location}`).toString(16);
     }
 
-    track(eventName, data = {}) {
-        // Console logging for development
-        console.log('Analytics Event:', eventName, data);
+    /**
+     * Dedupe and rate limit across the session; false if this should not be sent
+     */
+    claimReport(fingerprint) {
+        let session = { count: 0, fingerprints: [] };
+        try {
+            session = JSON.parse(sessionStorage.getItem(this.settings.SESSION_KEY)) || session;
+        } catch (error) {
+            // Fall back to limiting this page only
+            session = this.pageSession || session;
+        }
         
-        // Google Analytics 4
-        if (typeof gtag !== 'undefined') {
-            gtag('event', eventName, data);
+        if (session.fingerprints.includes(fingerprint) || session.count >= this.settings.MAX_REPORTS_PER_SESSION) {
+            return false;
         }
         
-        // Custom analytics endpoint
-        this.sendToCustomAnalytics(eventName, data);
-    }
-
-    async sendToCustomAnalytics(eventName, data) {
+        session.count++;
+        session.fingerprints.push(fingerprint);
+        this.pageSession = session;
+        
         try {
-            // Replace with your analytics endpoint
-            await fetch('/api/analytics', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    event: eventName,
-                    data: data,
-                    timestamp: new Date().toISOString(),
-                    page_url: window.location.href,
-                    user_agent: navigator.userAgent
-                })
-            });
+            sessionStorage.setItem(this.settings.SESSION_KEY, JSON.stringify(session));
         } catch (error) {
-            console.error('Analytics error:', error);
+            // Page-level limiting still applies
+        }
+        return true;
+    }
+
+    send(report) {
+        const payload = JSON.stringify(report);
+        
+        // sendBeacon survives the page unloading right after an error
+        if (navigator.sendBeacon &&
+            navigator.sendBeacon(CONFIG.ENDPOINTS.ERRORS, new Blob([payload], { type: 'application/json' }))) {
+            return;
         }
+        
+        fetch(CONFIG.ENDPOINTS.ERRORS, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: payload,
+            keepalive: true
+        }).catch(error => {
+            console.error('Could not send error report:', error);
+        });
     }
 }
 
+const errorReporter = new ErrorReporter();
+
 // =============================================================================
 // MAIN APPLICATION CLASS
 // =============================================================================
 
-class CreativeFlowApp {
+class CreativeFlowApp extends AppModule {
     constructor() {
-        this.modules = {
-            navigation: null,
-            formHandler: null,
-            scrollAnimations: null,
-            backToTop: null,
-            modalManager: null,
-            performanceOptimizer: null,
-            accessibilityManager: null,
-            analytics: null
-        };
+        super();
+        this.events = events;
+        this.config = CONFIG;
+        this.registry = new Map();
+        this.modules = {};
+        this.started = false;
         
+        this.registerCoreModules();
         this.init();
     }
 
     init() {
+        // Catch errors from startup itself, not just after modules are running
+        this.setupErrorHandling();
+        
         // Wait for DOM to be fully loaded
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => {
-                this.initializeModules();
-            });
+            this.listen(document, 'DOMContentLoaded', () => {
+                this.start();
+            }, { once: true });
         } else {
-            this.initializeModules();
+            this.start();
+        }
+    }
+
+    /**
+     * Built-in modules, in start order (consent first so tracking can be gated)
+     */
+    registerCoreModules() {
+        // First, so breadcrumbs cover everything after it
+        this.registerModule('errorReporter', () => errorReporter);
+        this.registerModule('theme', () => new ThemeManager());
+        this.registerModule('notifications', () => new NotificationManager());
+        this.registerModule('modalManager', () => new ModalManager());
+        this.registerModule('consentManager', app => new ConsentManager(app.modules.modalManager), { requires: ['modalManager'] });
+        this.registerModule('attribution', app => new AttributionTracker(app.modules.consentManager), { requires: ['consentManager'] });
+        this.registerModule('navigation', () => new Navigation());
+        this.registerModule('phoneInput', () => new PhoneInput());
+        this.registerModule('emailSuggestions', () => new EmailSuggestions());
+        this.registerModule('formHandler', app => new FormHandler(
+            app.modules.notifications,
+            app.modules.modalManager,
+            app.modules.attribution,
+            new LeadScorer(app.modules.attribution, () => app.modules.analytics)
+        ), { requires: ['notifications', 'modalManager'] });
+        this.registerModule('booking', app => new BookingScheduler(app.modules.modalManager), { requires: ['modalManager'] });
+        this.registerModule('content', () => new ContentRenderer());
+        this.registerModule('scrollAnimations', () => new ScrollAnimations());
+        this.registerModule('backToTop', () => new BackToTop());
+        this.registerModule('performanceOptimizer', () => new PerformanceOptimizer());
+        // Before analytics, so its report is buffered ahead of the unload flush
+        this.registerModule('performanceMonitor', () => new PerformanceMonitor());
+        this.registerModule('accessibilityManager', () => new AccessibilityManager());
+        this.registerModule('testimonialsCarousel', () => new TestimonialsCarousel());
+        this.registerModule('analytics', app => new Analytics(app.modules.consentManager, app.modules.attribution), { requires: ['consentManager'] });
+        
+        // After analytics so exposure events have a subscriber
+        this.registerModule('experiments', () => experiments);
+    }
+
+    /**
+     * Add a module. factory(app) returns an object with optional init() and
+     * destroy() methods; it starts right away if the app is already running.
+     * options.requires names modules it can't work without: it is skipped
+     * while any of them isn't running, and stopped along with them.
+     */
+    registerModule(name, factory, options = {}) {
+        if (this.registry.has(name)) {
+            throw new Error(`Module "${name}" is already registered`);
+        }
+        
+        this.registry.set(name, { factory, requires: options.requires || [] });
+        if (this.started) {
+            this.startModule(name);
         }
+        return this;
+    }
+
+    unregisterModule(name) {
+        this.stopModule(name);
+        this.registry.delete(name);
+    }
+
+    /**
+     * Give translations a short head start before modules render any text of
+     * their own, without letting a slow or hung catalog block the page
+     */
+    async start() {
+        const loading = i18n.init().catch(error => {
+            console.error('Error loading translations:', error);
+        });
+        
+        await Promise.race([loading, Utils.sleep(CONFIG.I18N.LOAD_TIMEOUT)]);
+        
+        this.initializeModules();
     }
 
     initializeModules() {
+        this.started = true;
+        Array.from(this.registry.keys()).forEach(name => this.startModule(name));
+        
+        // Setup service worker for offline functionality
+        this.setupServiceWorker();
+        
+        events.emit('app:ready', { modules: Object.keys(this.modules) });
+        console.log('CreativeFlow App initialized successfully');
+    }
+
+    /**
+     * Start one module in isolation. A module that throws is torn down and
+     * left out of this.modules, and the rest keep starting.
+     */
+    startModule(name) {
+        const { factory, requires } = this.registry.get(name);
+        const missing = requires.filter(dependency => !this.modules[dependency]);
+        if (missing.length > 0) {
+            console.warn(`Skipping module "${name}": ${missing.join(', ')} not running`);
+            return;
+        }
+        
         try {
-            // Initialize all modules
-            this.modules.navigation = new Navigation();
-            this.modules.formHandler = new FormHandler();
-            this.modules.scrollAnimations = new ScrollAnimations();
-            this.modules.backToTop = new BackToTop();
-            this.modules.modalManager = new ModalManager();
-            this.modules.performanceOptimizer = new PerformanceOptimizer();
-            this.modules.accessibilityManager = new AccessibilityManager();
-            this.modules.analytics = new Analytics();
-            
-            // Setup global error handling
-            this.setupErrorHandling();
-            
-            // Setup service worker for offline functionality
-            this.setupServiceWorker();
-            
-            console.log('CreativeFlow App initialized successfully');
-            
+            const module = factory(this);
+            this.modules[name] = module;
+            if (module && typeof module.init === 'function') {
+                module.init();
+            }
         } catch (error) {
-            console.error('Error initializing CreativeFlow App:', error);
+            console.error(`Error initializing module "${name}":`, error);
+            errorReporter.capture(error, { module: name, phase: 'init' });
+            this.stopModule(name);
+        }
+    }
+
+    stopModule(name) {
+        const module = this.modules[name];
+        delete this.modules[name];
+        
+        // Dependents would be left holding a module that no longer runs
+        this.registry.forEach(({ requires }, dependent) => {
+            if (requires.includes(name) && this.modules[dependent]) {
+                this.stopModule(dependent);
+            }
+        });
+        
+        if (module && typeof module.destroy === 'function') {
+            try {
+                module.destroy();
+            } catch (error) {
+                console.error(`Error destroying module "${name}":`, error);
+            }
         }
     }
 
+    /**
+     * Tear everything down, newest module first, e.g. before the host page
+     * swaps this markup out
+     */
+    destroy() {
+        Array.from(this.registry.keys()).reverse().forEach(name => this.stopModule(name));
+        super.destroy();
+        events.clear();
+        this.started = false;
+    }
+
     setupErrorHandling() {
-        window.addEventListener('error', (e) => {
+        // ErrorReporter sends these and puts them on the bus as app:error
+        this.listen(window, 'error', (e) => {
             console.error('Global error:', e.error);
             
-            // Track errors in analytics
-            if (this.modules.analytics) {
-                this.modules.analytics.track('javascript_error', {
-                    message: e.message,
-                    filename: e.filename,
-                    lineno: e.lineno,
-                    colno: e.colno
-                });
-            }
+            // e.error is missing for cross-origin scripts and some resource errors
+            errorReporter.capture(e.error || {
+                name: 'Error',
+                message: e.message,
+                stack: e.filename ? `at ${e.filename}:${e.lineno}:${e.colno}` : ''
+            }, { kind: 'error' });
         });
 
-        window.addEventListener('unhandledrejection', (e) => {
+        this.listen(window, 'unhandledrejection', (e) => {
             console.error('Unhandled promise rejection:', e.reason);
             
-            if (this.modules.analytics) {
-                this.modules.analytics.track('promise_rejection', {
-                    reason: e.reason.toString()
-                });
-            }
+            // The reason can be anything, including null or undefined
+            errorReporter.capture(e.reason, { kind: 'rejection' });
         });
     }
 
@@ -1246,28 +6602,6 @@ class CreativeFlowApp {
 function injectAdditionalAnimations() {
     const style = document.createElement('style');
     style.textContent = `
-        @keyframes slideInRight {
-            from {
-                opacity: 0;
-                transform: translateX(100px);
-            }
-            to {
-                opacity: 1;
-                transform: translateX(0);
-            }
-        }
-        
-        @keyframes slideOutRight {
-            from {
-                opacity: 1;
-                transform: translateX(0);
-            }
-            to {
-                opacity: 0;
-                transform: translateX(100px);
-            }
-        }
-        
         .reduce-animations * {
             animation-duration: 0.01ms !important;
             transition-duration: 0.01ms !important;
@@ -1282,13 +6616,6 @@ function injectAdditionalAnimations() {
     document.head.appendChild(style);
 }
 
-// Fades out the scroll-down arrow after user scrolls
-document.addEventListener('scroll', () => {
-  const scroll = window.scrollY || window.pageYOffset;
-  const el = document.querySelector('.hero-scroll');
-  if (el) el.style.opacity = scroll > 60 ? '0' : '1';
-});
-
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -1296,6 +6623,12 @@ document.addEventListener('scroll', () => {
 // Inject additional animations
 injectAdditionalAnimations();
 
+// Apply page-level config overrides before any module reads CONFIG
+applyConfigOverrides();
+
+// Apply experiment variants while their elements are still hidden
+experiments.run();
+
 // Initialize the application
 const app = new CreativeFlowApp();
 
@@ -0,0 +1,151 @@
+/**
+ * CreativeFlow - Service Worker
+ * Holds form submissions made while offline and replays them with Background Sync
+ */
+
+'use strict';
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const SW_CONFIG = {
+    DB_NAME: 'creativeflow',
+    DB_VERSION: 1,
+    STORE_NAME: 'submissions',
+    SYNC_TAG: 'creativeflow-form-sync',
+
+    // Queued submissions older than this are discarded instead of replayed
+    MAX_AGE: 7 * 24 * 60 * 60 * 1000
+};
+
+const MESSAGE_TYPES = {
+    DELIVERED: 'SUBMISSION_DELIVERED',
+    REJECTED: 'SUBMISSION_REJECTED'
+};
+
+// =============================================================================
+// INDEXEDDB HELPERS
+// =============================================================================
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SW_CONFIG.DB_NAME, SW_CONFIG.DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SW_CONFIG.STORE_NAME)) {
+                db.createObjectStore(SW_CONFIG.STORE_NAME, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SW_CONFIG.STORE_NAME, mode);
+        const request = callback(transaction.objectStore(SW_CONFIG.STORE_NAME));
+
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+function getQueuedSubmissions() {
+    return withStore('readonly', store => store.getAll());
+}
+
+function removeQueuedSubmission(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+async function replaySubmission(entry) {
+    const response = await fetch(entry.endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+            'Idempotency-Key': entry.idempotencyKey
+        },
+        body: JSON.stringify(entry.data)
+    });
+
+    if (response.ok) {
+        await removeQueuedSubmission(entry.id);
+        await notifyClients({ type: MESSAGE_TYPES.DELIVERED, id: entry.id, formType: entry.formType });
+        return true;
+    }
+
+    // Client errors other than rate limiting will never succeed on replay
+    if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        await removeQueuedSubmission(entry.id);
+        await notifyClients({ type: MESSAGE_TYPES.REJECTED, id: entry.id, formType: entry.formType, status: response.status });
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Replays every queued submission. Rejects if any entry is still pending so
+ * that the sync manager schedules another attempt.
+ */
+async function replayQueue() {
+    const entries = await getQueuedSubmissions();
+    let pending = 0;
+
+    for (const entry of entries) {
+        if (Date.now() - entry.createdAt > SW_CONFIG.MAX_AGE) {
+            await removeQueuedSubmission(entry.id);
+            continue;
+        }
+
+        try {
+            const settled = await replaySubmission(entry);
+            if (!settled) pending++;
+        } catch (error) {
+            pending++;
+        }
+    }
+
+    if (pending > 0) {
+        throw new Error(`${pending} queued submission(s) still pending`);
+    }
+}
+
+// =============================================================================
+// LIFECYCLE & EVENTS
+// =============================================================================
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SW_CONFIG.SYNC_TAG) {
+        event.waitUntil(replayQueue());
+    }
+});